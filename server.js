@@ -4,6 +4,7 @@ require('dotenv').config();
 const express = require('express');
 const { ethers } = require('ethers');
 const axios = require('axios');
+const QRCode = require('qrcode');
 const fs = require('fs');
 const path = require('path');
 
@@ -18,9 +19,22 @@ if (!ALCHEMY_API_KEY || !ETHERSCAN_API_KEY) {
   process.exit(1);
 }
 
-const provider = new ethers.JsonRpcProvider(
-  `https://eth-mainnet.g.alchemy.com/v2/${ALCHEMY_API_KEY}`
-  );
+const DEFAULT_CHAIN_ID = 1;
+const RPC_TIMEOUT_MS = 30000;
+const CHAIN_SCAN_TIMEOUT_MS = 120000;
+const CHAIN_SCAN_CONCURRENCY = 6;
+const STREAM_HEARTBEAT_MS = 15000;
+
+// eth_getLogs chunking: start wide, halve on range/result-size errors, grow back after successes
+const LOG_CHUNK_SIZE = 2000000;
+const LOG_MIN_CHUNK_SIZE = 500;
+const LOG_MAX_RETRIES = 4;
+const LOG_RETRY_BASE_MS = 500;
+const LOG_GROWTH_STREAK = 5;
+
+// Incremental scans re-read a few blocks before the checkpoint in case they were reorged
+const SCAN_CACHE_PATH = path.join(__dirname, 'scan_cache.json');
+const SCAN_CACHE_REORG_BUFFER = 64;
 
 const erc20Abi = [
   "event Approval(address indexed owner, address indexed spender, uint256 value)",
@@ -28,8 +42,150 @@ const erc20Abi = [
   "function decimals() view returns (uint8)",
   "function name() view returns (string)",
   "function symbol() view returns (string)",
-  "function balanceOf(address account) view returns (uint256)"
+  "function balanceOf(address account) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function increaseAllowance(address spender, uint256 addedValue) returns (bool)"
+];
+
+// ApprovalForAll is shared by ERC-721 and ERC-1155; per-token approvals are ERC-721 only
+const nftAbi = [
+  "event ApprovalForAll(address indexed owner, address indexed operator, bool approved)",
+  "function isApprovedForAll(address owner, address operator) view returns (bool)",
+  "function getApproved(uint256 tokenId) view returns (address)",
+  "function ownerOf(uint256 tokenId) view returns (address)",
+  "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function approve(address to, uint256 tokenId)",
+  "function setApprovalForAll(address operator, bool approved)"
+];
+
+// Uniswap Permit2 is deployed at the same address on every supported chain
+const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+const permit2Abi = [
+  "event Approval(address indexed owner, address indexed token, address indexed spender, uint160 amount, uint48 expiration)",
+  "event Permit(address indexed owner, address indexed token, address indexed spender, uint160 amount, uint48 expiration, uint48 nonce)",
+  "event Lockdown(address indexed owner, address token, address spender)",
+  "function allowance(address user, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)",
+  "function approve(address token, address spender, uint160 amount, uint48 expiration)",
+  "function lockdown((address token, address spender)[] approvals)"
+];
+const permit2Interface = new ethers.Interface(permit2Abi);
+const MAX_UINT160 = (1n << 160n) - 1n;
+
+// Multicall3 is deployed at the same address on most EVM chains
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const multicall3Abi = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)"
 ];
+const MULTICALL_BATCH_SIZE = 200;
+const MULTICALL_CONCURRENCY = 3;
+const multicall3Support = new Map();
+
+const erc20Interface = new ethers.Interface(erc20Abi);
+const nftInterface = new ethers.Interface(nftAbi);
+
+const APPROVAL_TYPES = ['erc20', 'nft-operator', 'nft-token', 'permit2'];
+const CHAIN_LOOKUP_CONCURRENCY = 5;
+const MAX_APPROVALS_PER_REQUEST = 100;
+// Offline signing: headroom on gas estimates since the transaction is signed and sent later
+const OFFLINE_GAS_BUFFER_PERCENT = 20n;
+const OFFLINE_FALLBACK_GAS_LIMIT = 100000n;
+// Tip used when the node reports an EIP-1559 max fee but no priority fee
+const OFFLINE_DEFAULT_PRIORITY_FEE = ethers.parseUnits('1', 'gwei');
+
+// Risk scoring policy: factor weights, category maps and thresholds live in risk_policy.json.
+// Each factor must define these weight keys; extra settings are checked in validateRiskPolicy.
+const RISK_POLICY_PATH = process.env.RISK_POLICY_PATH || path.join(__dirname, 'risk_policy.json');
+const RISK_POLICY_FACTORS = {
+  auditStatus: ['audited', 'verified', 'unaudited'],
+  category: ['Unknown', 'Other'],
+  riskLevel: ['low', 'medium', 'high', 'unknown'],
+  allowance: ['unlimited', 'veryHigh', 'high', 'reasonable', 'nftOperator', 'nftToken'],
+  knownExploits: ['found', 'none'],
+  dormancy: ['dormant', 'active'],
+  spenderType: ['eoa', 'contract'],
+  upgradeability: ['eoaAdmin', 'upgradeable', 'immutable'],
+  contractAge: ['fresh', 'young', 'established']
+};
+// Numeric factor settings besides weights
+const RISK_POLICY_SETTINGS = {
+  allowance: ['veryHighBalanceMultiple'],
+  dormancy: ['dormantAfterDays'],
+  contractAge: ['freshHours', 'youngDays']
+};
+const WALLET_DEDUCTION_KEYS = ['exploitedSpender', 'unlimitedUnverified', 'highRisk', 'unlimited', 'dormant'];
+
+// USD pricing: Chainlink feeds from price_feeds.json, the mainnet Feed Registry for other tokens,
+// and an optional local price table that takes precedence (seed it for tests or offline use)
+const PRICE_TABLE_PATH = process.env.PRICE_TABLE_PATH || path.join(__dirname, 'price_table.json');
+const PRICE_MAX_AGE_SECONDS = 2 * 86400;
+const FEED_REGISTRY_ADDRESS = '0x47Fb2585D2C56Fe188D0E6ec628a38b74fCeeeDf';
+const FEED_REGISTRY_USD = '0x0000000000000000000000000000000000000348';
+const chainlinkFeedInterface = new ethers.Interface([
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+  'function decimals() view returns (uint8)'
+]);
+const feedRegistryInterface = new ethers.Interface([
+  'function latestRoundData(address base, address quote) view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+  'function decimals(address base, address quote) view returns (uint8)'
+]);
+const APPROVAL_SORTS = ['valueAtRisk', 'riskScore'];
+
+// Proxy storage slots: EIP-1967 implementation/admin/beacon and EIP-1822 (UUPS) PROXIABLE
+const EIP1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+const EIP1967_ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+const EIP1967_BEACON_SLOT = '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50';
+const EIP1822_PROXIABLE_SLOT = ethers.id('PROXIABLE');
+// EIP-7702: an EOA whose code is 0xef0100 followed by the delegate address
+const EIP7702_DELEGATION_PREFIX = '0xef0100';
+// Creation lookups never change, so successful ones are kept for the life of the process and
+// failed ones for EXPLORER_RETRY_AFTER_MS, so an explorer outage is not retried for every spender.
+// Concurrent requests for the same address share one lookup.
+const contractCreationCache = new Map();
+const exploitDeployerCache = new Map();
+const EXPLORER_TIMEOUT_MS = 10000;
+const EXPLORER_RETRY_AFTER_MS = 5 * 60 * 1000;
+// The getCode fallback costs ~30 archive calls per contract: only a few run at once, a few per scan,
+// and only on networks whose rpc keeps history (Alchemy, or `archive: true` in networks.json)
+const CODE_SEARCH_CONCURRENCY = 2;
+const CODE_SEARCH_MAX_CALLS = 64;
+const CODE_SEARCHES_PER_SCAN = 5;
+let activeCodeSearches = 0;
+const codeSearchQueue = [];
+const proxyInterface = new ethers.Interface([
+  'function implementation() view returns (address)',
+  'function owner() view returns (address)'
+]);
+
+// Safe (Gnosis Safe) multisig wallets; revokes are exported as a Transaction Builder batch
+const safeInterface = new ethers.Interface([
+  'function getOwners() view returns (address[])',
+  'function getThreshold() view returns (uint256)',
+  'function VERSION() view returns (string)',
+  'function nonce() view returns (uint256)'
+]);
+const multiSendInterface = new ethers.Interface([
+  'function multiSend(bytes transactions)'
+]);
+// MultiSendCallOnly from the canonical Safe deployments, by Safe version
+const MULTISEND_CALL_ONLY_ADDRESSES = {
+  '1.3.0': '0x40A2aCCbd92BCA938b02010E17A5b8929b49130D',
+  '1.4.1': '0x9641d764fc13c8B624c04430C7356C1C7C8102e2'
+};
+const SAFE_TX_BUILDER_VERSION = '1.16.5';
+
+const APPROVAL_TOPIC = ethers.id("Approval(address,address,uint256)");
+const TRANSFER_TOPIC = ethers.id("Transfer(address,address,uint256)");
+const TRANSFER_SINGLE_TOPIC = ethers.id("TransferSingle(address,address,address,uint256,uint256)");
+const TRANSFER_BATCH_TOPIC = ethers.id("TransferBatch(address,address,address,uint256[],uint256[])");
+const APPROVAL_FOR_ALL_TOPIC = ethers.id("ApprovalForAll(address,address,bool)");
+const ERC1155_INTERFACE_ID = '0xd9b67a26';
+const ERC721_INTERFACE_ID = '0x80ac58cd';
+
+// Seaport ItemType enum, in order
+const SEAPORT_ITEM_TYPES = ['NATIVE', 'ERC20', 'ERC721', 'ERC1155', 'ERC721_WITH_CRITERIA', 'ERC1155_WITH_CRITERIA'];
 
 // Load contract database
 let contractDatabase = {};
@@ -75,6 +231,176 @@ try {
   console.warn('  Place exploit_database.json in the same directory as server.js');
 }
 
+// Load network list
+let networkDatabase = {};
+let networkList = [];
+try {
+  const networksPath = path.join(__dirname, 'networks.json');
+  const networksContent = fs.readFileSync(networksPath, 'utf8');
+  const networksDb = JSON.parse(networksContent);
+
+  // Keep the file order for display and create a lookup map by chain id
+  networkList = networksDb.networks;
+  networksDb.networks.forEach(network => {
+    networkDatabase[network.id] = network;
+  });
+
+  console.log('✓ Network list loaded successfully');
+  console.log(`  Loaded ${networksDb.networks.length} networks`);
+} catch (error) {
+  console.warn('⚠ Network list not found or invalid. Only Ethereum mainnet is available.');
+  console.warn('  Place networks.json in the same directory as server.js');
+  networkDatabase[DEFAULT_CHAIN_ID] = {
+    id: DEFAULT_CHAIN_ID,
+    name: 'Ethereum',
+    shortName: 'eth',
+    rpc: 'https://eth-mainnet.g.alchemy.com/v2/',
+    explorer: 'https://etherscan.io',
+    currency: 'ETH',
+    type: 'mainnet'
+  };
+  networkList = [networkDatabase[DEFAULT_CHAIN_ID]];
+}
+
+// Load scan cache (per wallet and chain checkpoints)
+let scanCache = {};
+try {
+  scanCache = JSON.parse(fs.readFileSync(SCAN_CACHE_PATH, 'utf8'));
+  console.log('✓ Scan cache loaded successfully');
+  console.log(`  Loaded ${Object.keys(scanCache).length} wallet checkpoints`);
+} catch (error) {
+  // No cache yet, every wallet starts with a full scan
+  scanCache = {};
+}
+
+// Load Chainlink price feeds (keyed by chainId:token)
+let priceFeeds = {};
+try {
+  const feedsPath = path.join(__dirname, 'price_feeds.json');
+  const feedsDb = JSON.parse(fs.readFileSync(feedsPath, 'utf8'));
+
+  feedsDb.feeds.forEach(feed => {
+    priceFeeds[`${feed.chainId}:${feed.token.toLowerCase()}`] = feed;
+  });
+
+  console.log('✓ Price feeds loaded successfully');
+  console.log(`  Loaded ${feedsDb.feeds.length} feeds`);
+} catch (error) {
+  console.warn('⚠ Price feeds not found or invalid. Only the Feed Registry and price table are used.');
+  console.warn('  Place price_feeds.json in the same directory as server.js');
+}
+
+// Load local price table (optional, overrides on-chain prices). Read from PRICE_TABLE_PATH,
+// default price_table.json; see price_table.example.json. Format:
+//   { "prices": [{ "chainId": 1, "token": "0x...", "usd": 2500, "symbol": "WETH" }] }
+// chainId and token select the asset, usd is its price per whole token; symbol is only a label.
+let priceTable = {};
+try {
+  const tableDb = JSON.parse(fs.readFileSync(PRICE_TABLE_PATH, 'utf8'));
+
+  tableDb.prices.forEach(price => {
+    priceTable[`${price.chainId}:${price.token.toLowerCase()}`] = Number(price.usd);
+  });
+
+  console.log('✓ Price table loaded successfully');
+  console.log(`  Loaded ${tableDb.prices.length} prices`);
+} catch (error) {
+  // No local table, prices come from on-chain feeds only
+  priceTable = {};
+}
+
+// Load risk scoring policy. Scores depend on it, so an invalid policy stops the server.
+let riskPolicy;
+try {
+  riskPolicy = JSON.parse(fs.readFileSync(RISK_POLICY_PATH, 'utf8'));
+} catch (error) {
+  console.error(`❌ Error: Unable to read risk policy ${RISK_POLICY_PATH}: ${error.message}`);
+  process.exit(1);
+}
+const riskPolicyErrors = validateRiskPolicy(riskPolicy);
+if (riskPolicyErrors.length > 0) {
+  console.error(`❌ Error: Invalid risk policy ${RISK_POLICY_PATH}:`);
+  riskPolicyErrors.forEach(error => console.error(`  - ${error}`));
+  process.exit(1);
+}
+console.log('✓ Risk policy loaded successfully');
+console.log(`  Version ${riskPolicy.version}`);
+
+// One provider per chain, created on first use
+const providers = new Map();
+
+/**
+ * Resolve a chainId from a request (number, decimal string or hex string)
+ */
+function parseChainId(chainId) {
+  if (chainId === undefined || chainId === null || chainId === '') {
+    return DEFAULT_CHAIN_ID;
+  }
+  const parsed = typeof chainId === 'string' && chainId.startsWith('0x')
+    ? parseInt(chainId, 16)
+    : Number(chainId);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+function getNetwork(chainId) {
+  return networkDatabase[chainId] || null;
+}
+
+function isAlchemyRpc(url) {
+  return url.includes('.g.alchemy.com/');
+}
+
+function hasArchiveRpc(network) {
+  return network.archive === true || isAlchemyRpc(network.rpc);
+}
+
+function getRpcUrl(network) {
+  // Alchemy endpoints in networks.json end with /v2/ and expect the API key appended
+  if (isAlchemyRpc(network.rpc)) {
+    return network.rpc + ALCHEMY_API_KEY;
+  }
+  return network.rpc;
+}
+
+/**
+ * RPC URLs a browser wallet can be given in wallet_addEthereumChain: publicRpc from
+ * networks.json, or the scanning RPC when it needs no API key
+ */
+function getWalletRpcUrls(network) {
+  if (network.publicRpc) {
+    return [network.publicRpc];
+  }
+  return isAlchemyRpc(network.rpc) ? [] : [network.rpc];
+}
+
+function getProvider(network) {
+  if (!providers.has(network.id)) {
+    const request = new ethers.FetchRequest(getRpcUrl(network));
+    request.timeout = RPC_TIMEOUT_MS;
+    providers.set(network.id, new ethers.JsonRpcProvider(request, network.id, { staticNetwork: true }));
+  }
+  return providers.get(network.id);
+}
+
+function getExplorerUrl(network, type, value) {
+  return `${network.explorer}/${type}/${value}`;
+}
+
+/**
+ * Network fields included in API responses (RPC URLs stay on the server)
+ */
+function toPublicNetwork(network) {
+  return {
+    id: network.id,
+    name: network.name,
+    shortName: network.shortName,
+    explorer: network.explorer,
+    currency: network.currency,
+    type: network.type,
+    walletRpcUrls: getWalletRpcUrls(network)
+  };
+}
+
 app.use(express.json());
 
 app.get('/', (req, res) => {
@@ -164,104 +490,67 @@ app.post('/api/subscribe', (req, res) => {
 
 app.post('/api/approvals', async (req, res) => {
   try {
-    const { walletAddress, chainId } = req.body;
+    const { walletAddress, chainId, fullRescan, sortBy } = req.body;
 
     if (!walletAddress || !ethers.isAddress(walletAddress)) {
       return res.status(400).json({ error: 'Invalid Ethereum address' });
     }
+    if (sortBy && !APPROVAL_SORTS.includes(sortBy)) {
+      return res.status(400).json({ error: `sortBy must be one of: ${APPROVAL_SORTS.join(', ')}` });
+    }
 
-    // For now, only support Ethereum mainnet (chainId 1)
-    // In future, this can be extended to support other networks
-    if (chainId && chainId !== 1) {
-      return res.status(400).json({ error: 'Currently only Ethereum mainnet is supported' });
+    const network = getNetwork(parseChainId(chainId));
+    if (!network) {
+      return res.status(400).json({ error: `Unsupported network: ${chainId}` });
     }
 
-    const approvalTopic = ethers.id("Approval(address,address,uint256)");
-    const addressTopic = ethers.zeroPadValue(walletAddress, 32);
+    const { approvals, safe, scan } = await scanApprovals(walletAddress, network, { fullRescan: fullRescan === true });
 
-    const logs = await provider.getLogs({
-      topics: [approvalTopic, addressTopic],
-      fromBlock: 0,
-      toBlock: 'latest'
+    res.json({
+      success: true,
+      network: toPublicNetwork(network),
+      scan,
+      safe,
+      count: approvals.length,
+      totalValueAtRisk: sumValueAtRisk(approvals),
+      summary: summarizeWallet(approvals),
+      policyVersion: riskPolicy.version,
+      approvals: sortApprovals(approvals, sortBy)
     });
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const activeApprovals = new Map();
+app.post('/api/approvals/all-chains', async (req, res) => {
+  try {
+    const { walletAddress, chainIds = 'mainnets', fullRescan, sortBy } = req.body;
 
-    for (const log of logs) {
-      try {
-        const iface = new ethers.Interface(erc20Abi);
-        const parsedLog = iface.parseLog(log);
-        const { spender } = parsedLog.args;
-        const tokenAddress = log.address;
-        const key = `${tokenAddress}-${spender}`;
-        activeApprovals.set(key, { tokenAddress, spender });
-      } catch (e) {
-        // Skip non-matching logs
-      }
+    if (!walletAddress || !ethers.isAddress(walletAddress)) {
+      return res.status(400).json({ error: 'Invalid Ethereum address' });
+    }
+    if (sortBy && !APPROVAL_SORTS.includes(sortBy)) {
+      return res.status(400).json({ error: `sortBy must be one of: ${APPROVAL_SORTS.join(', ')}` });
     }
 
-    const approvalPromises = Array.from(activeApprovals.values()).map(
-      async (approval) => {
-        try {
-          const tokenContract = new ethers.Contract(
-            approval.tokenAddress,
-            erc20Abi,
-            provider
-          );
-
-          const allowance = await tokenContract.allowance(
-            walletAddress,
-            approval.spender
-          );
-
-          if (allowance > 0n) {
-            const [name, symbol, decimals, balance] = await Promise.all([
-              tokenContract.name(),
-              tokenContract.symbol(),
-              tokenContract.decimals(),
-              tokenContract.balanceOf(walletAddress)
-            ]);
-
-            const spenderDetails = await getSpenderDetails(approval.spender);
-            const exploits = checkForExploits(approval.spender);
-            const riskScoring = calculateRiskScore(spenderDetails, allowance.toString(), balance.toString(), exploits);
-
-            return {
-              tokenName: name,
-              tokenSymbol: symbol,
-              tokenAddress: approval.tokenAddress.toString(),
-              spender: approval.spender.toString(),
-              allowance: ethers.formatUnits(allowance, decimals).toString(),
-              userBalance: ethers.formatUnits(balance, decimals).toString(),
-              decimals: parseInt(decimals),
-              spenderName: spenderDetails.name,
-              spenderDescription: spenderDetails.description,
-              isVerified: spenderDetails.isVerified,
-              riskLevel: spenderDetails.riskLevel,
-              category: spenderDetails.category,
-              risks: spenderDetails.risks,
-              benefits: spenderDetails.benefits,
-              documentation: spenderDetails.documentation,
-              audited: spenderDetails.audited,
-              riskScore: riskScoring.score,
-              riskFactors: riskScoring.factors,
-              exploits: exploits,
-              hasKnownExploit: exploits.length > 0
-            };
-          }
-        } catch (e) {
-          console.error(`Error processing approval:`, e.message);
-          return null;
-        }
-      }
-    );
+    const selectedNetworks = resolveNetworks(chainIds);
+    if (selectedNetworks.error) {
+      return res.status(400).json({ error: selectedNetworks.error });
+    }
 
-    const detailedApprovals = (await Promise.all(approvalPromises)).filter(Boolean);
+    const chainResults = await scanNetworks(walletAddress, selectedNetworks.networks, { fullRescan: fullRescan === true });
+    const failedCount = chainResults.filter(chain => chain.status === 'failed').length;
 
     res.json({
       success: true,
-      count: detailedApprovals.length,
-      approvals: detailedApprovals
+      count: chainResults.reduce((total, chain) => total + chain.count, 0),
+      chainsScanned: chainResults.length,
+      chainsFailed: failedCount,
+      totalValueAtRisk: sumValueAtRisk(chainResults.flatMap(chain => chain.approvals)),
+      summary: summarizeWallet(chainResults.flatMap(chain => chain.approvals)),
+      policyVersion: riskPolicy.version,
+      networks: chainResults.map(chain => ({ ...chain, approvals: sortApprovals(chain.approvals, sortBy) }))
     });
   } catch (error) {
     console.error('Error:', error);
@@ -270,202 +559,3461 @@ app.post('/api/approvals', async (req, res) => {
 });
 
 /**
- * Calculate risk score (0-100) for an approval
+ * The active risk scoring policy, so clients can show how scores are built
  */
-function calculateRiskScore(spenderDetails, allowance, userBalance, exploits = []) {
-  let riskScore = 0;
-  const riskFactors = [];
+app.get('/api/risk-policy', (req, res) => {
+  res.json(riskPolicy);
+});
 
-  // Factor 1: Audit Status (0-25 points)
-  if (spenderDetails.audited) {
-    riskScore += 0;
-    riskFactors.push({ name: 'Audit Status', value: 'Audited', contribution: 0 });
-  } else if (spenderDetails.isVerified) {
-    riskScore += 12;
-    riskFactors.push({ name: 'Audit Status', value: 'Verified', contribution: 12 });
-  } else {
-    riskScore += 25;
-    riskFactors.push({ name: 'Audit Status', value: 'Not Audited', contribution: 25 });
-  }
-
-  // Factor 2: Category Risk (0-20 points)
-  const categoryRiskMap = {
-    'DEX': 4,
-    'Lending': 12,
-    'Staking': 8,
-    'Bridge': 15,
-    'NFT': 20,
-    'Other': 20,
-    'Unknown': 25
-  };
-  const categoryRisk = categoryRiskMap[spenderDetails.category] || 20;
-  riskScore += categoryRisk;
-  riskFactors.push({ name: 'Category', value: spenderDetails.category, contribution: categoryRisk });
-
-  // Factor 3: Risk Level (0-20 points)
-  const riskLevelMap = {
-    'low': 0,
-    'medium': 10,
-    'high': 20,
-    'unknown': 15
+/**
+ * Streaming variant of /api/approvals over Server-Sent Events. Takes chainId, or chainIds as
+ * "mainnets"/"testnets"/"all" or a comma-separated list. Emits `progress`, `approval` (as soon
+ * as each one is scored), `chain` (per-network result, with `safe` when the wallet is a Safe),
+ * then `done` or `scan-error`. Clients that accept text/event-stream also get validation errors
+ * as a `scan-error` event, since EventSource cannot read an error response.
+ */
+app.get('/api/approvals/stream', async (req, res) => {
+  const { walletAddress, chainId, chainIds, fullRescan } = req.query;
+  const reject = (status, error) => {
+    if (req.accepts(['json', 'text/event-stream']) === 'text/event-stream') {
+      res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+      return res.end(`event: scan-error\ndata: ${JSON.stringify({ error })}\n\n`);
+    }
+    return res.status(status).json({ error });
   };
-  const riskLevelScore = riskLevelMap[spenderDetails.riskLevel] || 15;
-  riskScore += riskLevelScore;
-  riskFactors.push({ name: 'Risk Level', value: spenderDetails.riskLevel, contribution: riskLevelScore });
 
-  // Factor 4: Allowance Amount (0-20 points)
-  const allowanceBigInt = BigInt(allowance);
-  const maxUint256 = BigInt('115792089237316195423570985008687907853269984665640564039457584007913129639935');
-  
-  if (allowanceBigInt === maxUint256) {
-    riskScore += 20;
-    riskFactors.push({ name: 'Allowance', value: 'Unlimited', contribution: 20 });
-  } else if (allowanceBigInt > BigInt(userBalance) * BigInt(10)) {
-    riskScore += 15;
-    riskFactors.push({ name: 'Allowance', value: 'Very High (>10x balance)', contribution: 15 });
-  } else if (allowanceBigInt > BigInt(userBalance)) {
-    riskScore += 10;
-    riskFactors.push({ name: 'Allowance', value: 'High (>balance)', contribution: 10 });
-  } else {
-    riskScore += 5;
-    riskFactors.push({ name: 'Allowance', value: 'Reasonable', contribution: 5 });
-  }
+  let selectedNetworks;
+  try {
+    if (typeof walletAddress !== 'string' || !ethers.isAddress(walletAddress)) {
+      return reject(400, 'Invalid Ethereum address');
+    }
+    // Repeated or bracketed query parameters arrive as arrays or objects
+    if ((chainIds !== undefined && typeof chainIds !== 'string') || (chainId !== undefined && typeof chainId !== 'string')) {
+      return reject(400, 'chainId and chainIds must each be given once, chainIds as a comma-separated list');
+    }
 
-  // Factor 5: Known Exploits (0-15 points)
-  if (exploits && exploits.length > 0) {
-    riskScore += 15;
-    riskFactors.push({ name: 'Known Exploits', value: exploits.length + ' exploit(s) found', contribution: 15 });
-  } else {
-    riskFactors.push({ name: 'Known Exploits', value: 'None', contribution: 0 });
+    if (chainIds) {
+      selectedNetworks = resolveNetworks(/^[a-z]+$/.test(chainIds) ? chainIds : chainIds.split(','));
+    } else {
+      const network = getNetwork(parseChainId(chainId));
+      selectedNetworks = network ? { networks: [network] } : { error: `Unsupported network: ${chainId}` };
+    }
+    if (selectedNetworks.error) {
+      return reject(400, selectedNetworks.error);
+    }
+  } catch (error) {
+    console.error('Error:', error);
+    return reject(500, error.message);
   }
 
-  // Cap the score at 100
-  riskScore = Math.min(riskScore, 100);
-
-  return {
-    score: riskScore,
-    factors: riskFactors
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  // A closed tab stops the scan instead of leaving it to finish unheard
+  const abort = new AbortController();
+  let closed = false;
+  // Proxies drop connections that stay silent through long all-chain scans
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    abort.abort();
+  });
+  const send = (event, data) => {
+    if (!closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
   };
-}
+
+  try {
+    const chainResults = await scanNetworks(walletAddress, selectedNetworks.networks, {
+      fullRescan: fullRescan === 'true',
+      signal: abort.signal,
+      onProgress: (progress) => send('progress', progress),
+      onApproval: (approval) => send('approval', approval),
+      onChainComplete: ({ approvals, ...chain }) => send('chain', chain)
+    });
+
+    send('done', {
+      count: chainResults.reduce((total, chain) => total + chain.count, 0),
+      totalValueAtRisk: sumValueAtRisk(chainResults.flatMap(chain => chain.approvals)),
+      summary: summarizeWallet(chainResults.flatMap(chain => chain.approvals)),
+      policyVersion: riskPolicy.version,
+      chainsScanned: chainResults.length,
+      chainsFailed: chainResults.filter(chain => chain.status === 'failed').length
+    });
+  } catch (error) {
+    console.error('Error:', error);
+    send('scan-error', { error: error.message });
+  }
+  clearInterval(heartbeat);
+  res.end();
+});
 
 /**
- * Check if a spender address is associated with known exploits
+ * Full event history per token/spender pair: every grant, change and revoke with the
+ * transaction that made it. tokenAddress, spender and approvalType narrow the result.
  */
-function checkForExploits(spenderAddress) {
-  const normalizedAddress = spenderAddress.toLowerCase();
-  return exploitDatabase[normalizedAddress] || [];
-}
-
-async function getSpenderDetails(spenderAddress) {
+app.post('/api/approvals/history', async (req, res) => {
   try {
-    // First, try to get from database
-    const normalizedAddress = spenderAddress.toLowerCase();
-    if (contractDatabase[normalizedAddress]) {
-      const dbContract = contractDatabase[normalizedAddress];
-      return {
-        name: dbContract.name,
-        description: dbContract.description,
-        isVerified: dbContract.verified,
-        riskLevel: dbContract.riskLevel,
-        category: dbContract.category,
-        risks: dbContract.risks,
-        benefits: dbContract.benefits,
-        documentation: dbContract.documentation,
-        audited: dbContract.audited
-      };
-    }
+    const { walletAddress, chainId, tokenAddress, spender, approvalType } = req.body;
 
-    // If not in database, fall back to Etherscan
-    const response = await axios.get('https://api.etherscan.io/api', {
-      params: {
-        module: 'contract',
-        action: 'getsourcecode',
-        address: spenderAddress,
-        apikey: ETHERSCAN_API_KEY
-      }
-    });
+    if (!walletAddress || !ethers.isAddress(walletAddress)) {
+      return res.status(400).json({ error: 'Invalid Ethereum address' });
+    }
+    if ((tokenAddress && !ethers.isAddress(tokenAddress)) || (spender && !ethers.isAddress(spender))) {
+      return res.status(400).json({ error: 'Invalid token or spender address' });
+    }
+    if (approvalType && !APPROVAL_TYPES.includes(approvalType)) {
+      return res.status(400).json({ error: `approvalType must be one of: ${APPROVAL_TYPES.join(', ')}` });
+    }
 
-    if (response.data.result && response.data.result[0]) {
-      const contract = response.data.result[0];
-      let name = contract.ContractName || 'Unknown Contract';
-      
-      return {
-        name: name,
-        description: getApprovalDescription(name),
-        isVerified: contract.SourceCode ? true : false,
-        riskLevel: 'unknown',
-        category: 'Other',
-        risks: ['Verify contract details before approving'],
-        benefits: [],
-        documentation: `https://etherscan.io/address/${spenderAddress}`,
-        audited: false
-      };
+    const network = getNetwork(parseChainId(chainId));
+    if (!network) {
+      return res.status(400).json({ error: `Unsupported network: ${chainId}` });
     }
-  } catch (e) {
-    console.error('Error fetching spender details:', e.message);
+
+    const pairs = await getApprovalHistory(walletAddress, network, { tokenAddress, spender, approvalType });
+
+    res.json({
+      success: true,
+      network: toPublicNetwork(network),
+      count: pairs.length,
+      pairs
+    });
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  return {
-    name: 'Unknown Contract',
-    description: 'This contract can transfer your tokens.',
-    isVerified: false,
-    riskLevel: 'high',
-    category: 'Unknown',
-    risks: ['Could be a scam or malicious contract', 'No audit information available'],
-    benefits: [],
-    documentation: `https://etherscan.io/address/${spenderAddress}`,
-    audited: false
-  };
-}
+/**
+ * Re-read the on-chain state of specific approvals, e.g. after revoking them.
+ * Body: { walletAddress, chainId, approvals: [{ approvalType, tokenAddress, spender, tokenId }] }
+ */
+app.post('/api/approvals/verify', async (req, res) => {
+  try {
+    const { walletAddress, chainId, approvals } = req.body;
 
-function getApprovalDescription(contractName) {
-  const descriptions = {
-    'UniswapV3Router': 'Can swap your tokens on Uniswap',
-    'UniswapV2Router': 'Can swap your tokens on Uniswap',
-    'SwapRouter': 'Can swap your tokens',
-    'Seaport': 'Can transfer your NFTs and tokens for trading',
-    'CurveStableSwap': 'Can use your tokens for swaps on Curve',
-    'LidoStETH': 'Can stake your ETH for stETH',
-    'WETH9': 'Can wrap/unwrap your ETH',
-    'MasterChef': 'Can use your tokens in liquidity pools',
-    'AavePool': 'Can use your tokens as collateral',
-    'CompoundComptroller': 'Can use your tokens as collateral',
-    'MakerDAO': 'Can use your tokens as collateral'
-  };
+    if (!walletAddress || !ethers.isAddress(walletAddress)) {
+      return res.status(400).json({ error: 'Invalid Ethereum address' });
+    }
+    const approvalsError = validateApprovalRefs(approvals);
+    if (approvalsError) {
+      return res.status(400).json({ error: approvalsError });
+    }
 
-  for (const [key, desc] of Object.entries(descriptions)) {
-    if (contractName.includes(key)) {
-      return desc;
+    const network = getNetwork(parseChainId(chainId));
+    if (!network) {
+      return res.status(400).json({ error: `Unsupported network: ${chainId}` });
     }
-  }
 
-  return 'This contract can transfer your tokens.';
-}
+    const results = await verifyApprovals(walletAddress, network, approvals);
 
-app.listen(PORT, () => {
-  console.log('\n╔════════════════════════════════════════╗');
-  console.log('║     ApprovalGuard.io - MVP v3.0.0      ║');
-  console.log('║   Professional Token Approval Manager   ║');
-  console.log('╚════════════════════════════════════════╝\n');
-  console.log(`🚀 Server running at http://localhost:${PORT}\n`  );
+    res.json({
+      success: true,
+      network: toPublicNetwork(network),
+      activeCount: results.filter(result => result.active).length,
+      approvals: results
+    });
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-function getHtmlContent() {
-  return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <script src="https://cdn.eu.amplitude.com/script/e1e12fbdc43572ec10859e26f09dcdeb.js"></script><script>window.amplitude.add(window.sessionReplay.plugin({sampleRate: 1}));window.amplitude.init('e1e12fbdc43572ec10859e26f09dcdeb', {"fetchRemoteConfig":true,"serverZone":"EU","autocapture":{"attribution":true,"fileDownloads":true,"formInteractions":true,"pageViews":true,"sessions":true,"elementInteractions":true,"networkTracking":true,"webVitals":true,"frustrationInteractions":true}});</script>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>ApprovalGuard.io</title>
-    <style>
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-
+/**
+ * Unsigned revoke transactions for any wallet or script to sign: ERC-20 approve(spender, 0),
+ * ERC-721 approve(address(0), tokenId), setApprovalForAll(operator, false) and one Permit2
+ * lockdown covering every Permit2 approval. Each comes with a gas estimate, fee and eth_call dry-run.
+ * Body: { walletAddress, chainId, approvals: [{ approvalType, tokenAddress, spender, tokenId }] }
+ */
+app.post('/api/revoke/build', async (req, res) => {
+  try {
+    const { walletAddress, chainId, approvals } = req.body;
+
+    if (!walletAddress || !ethers.isAddress(walletAddress)) {
+      return res.status(400).json({ error: 'Invalid Ethereum address' });
+    }
+    const approvalsError = validateApprovalRefs(approvals);
+    if (approvalsError) {
+      return res.status(400).json({ error: approvalsError });
+    }
+
+    const network = getNetwork(parseChainId(chainId));
+    if (!network) {
+      return res.status(400).json({ error: `Unsupported network: ${chainId}` });
+    }
+
+    const transactions = await buildRevokeTransactions(walletAddress, network, approvals);
+
+    res.json({
+      success: true,
+      network: toPublicNetwork(network),
+      count: transactions.length,
+      transactions
+    });
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Unsigned transactions lowering an ERC-20 or Permit2 allowance to `amount` (base units, decimal
+ * string), encoded and checked like revokes. Tokens that require it get an approve(spender, 0) first.
+ * Body: { walletAddress, chainId, approval: { approvalType, tokenAddress, spender }, amount }
+ */
+app.post('/api/limit/build', async (req, res) => {
+  try {
+    const { walletAddress, chainId, approval, amount } = req.body;
+
+    if (!walletAddress || !ethers.isAddress(walletAddress)) {
+      return res.status(400).json({ error: 'Invalid Ethereum address' });
+    }
+    if (!approval || !['erc20', 'permit2'].includes(approval.approvalType) ||
+        !ethers.isAddress(approval.tokenAddress) || !ethers.isAddress(approval.spender)) {
+      return res.status(400).json({ error: 'approval needs an erc20 or permit2 approvalType, tokenAddress and spender' });
+    }
+    const maxAmount = approval.approvalType === 'permit2' ? MAX_UINT160 : ethers.MaxUint256;
+    if (typeof amount !== 'string' || !/^\d+$/.test(amount) || BigInt(amount) === 0n || BigInt(amount) > maxAmount) {
+      return res.status(400).json({ error: 'amount must be a positive integer string in base units' });
+    }
+
+    const network = getNetwork(parseChainId(chainId));
+    if (!network) {
+      return res.status(400).json({ error: `Unsupported network: ${chainId}` });
+    }
+
+    const limit = await buildLimitTransactions(walletAddress, network, approval, BigInt(amount));
+
+    res.json({
+      success: true,
+      network: toPublicNetwork(network),
+      count: limit.transactions.length,
+      ...limit
+    });
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Revokes for a Safe multisig as a Safe Transaction Builder batch file that signers can import,
+ * plus the same calls MultiSend-encoded for proposing through the Safe SDK or API.
+ * Body: { safeAddress, chainId, approvals: [{ approvalType, tokenAddress, spender, tokenId }] }
+ */
+app.post('/api/revoke/safe-batch', async (req, res) => {
+  try {
+    const { safeAddress, chainId, approvals } = req.body;
+
+    if (!safeAddress || !ethers.isAddress(safeAddress)) {
+      return res.status(400).json({ error: 'Invalid Safe address' });
+    }
+    const approvalsError = validateApprovalRefs(approvals);
+    if (approvalsError) {
+      return res.status(400).json({ error: approvalsError });
+    }
+
+    const network = getNetwork(parseChainId(chainId));
+    if (!network) {
+      return res.status(400).json({ error: `Unsupported network: ${chainId}` });
+    }
+
+    const provider = getProvider(network);
+    const safe = await detectSafe(provider, safeAddress);
+    if (!safe) {
+      return res.status(400).json({ error: `${safeAddress} is not a Safe on ${network.name}` });
+    }
+
+    const calls = getRevokeCalls(approvals);
+    const multiSend = encodeMultiSend(safe, calls);
+    // Only the canonical deployments are known; a delegatecall to an empty address would "succeed" doing nothing
+    if (await provider.getCode(multiSend.to) === '0x') {
+      return res.status(400).json({ error: `MultiSendCallOnly is not deployed at ${multiSend.to} on ${network.name}` });
+    }
+
+    res.json({
+      success: true,
+      network: toPublicNetwork(network),
+      safe,
+      count: calls.length,
+      batch: buildSafeTxBuilderBatch(network, safeAddress, calls),
+      multiSend
+    });
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Revokes for cold / air-gapped wallets: unsigned EIP-1559 transactions (legacy on chains without
+ * EIP-1559) with consecutive nonces, fees and chainId filled in, as RLP hex and QR codes.
+ * Body: { walletAddress, chainId, approvals: [{ approvalType, tokenAddress, spender, tokenId }] }
+ */
+app.post('/api/revoke/offline', async (req, res) => {
+  try {
+    const { walletAddress, chainId, approvals } = req.body;
+
+    if (!walletAddress || !ethers.isAddress(walletAddress)) {
+      return res.status(400).json({ error: 'Invalid Ethereum address' });
+    }
+    const approvalsError = validateApprovalRefs(approvals);
+    if (approvalsError) {
+      return res.status(400).json({ error: approvalsError });
+    }
+
+    const network = getNetwork(parseChainId(chainId));
+    if (!network) {
+      return res.status(400).json({ error: `Unsupported network: ${chainId}` });
+    }
+
+    const transactions = await buildOfflineTransactions(walletAddress, network, approvals);
+
+    res.json({
+      success: true,
+      network: toPublicNetwork(network),
+      from: ethers.getAddress(walletAddress),
+      count: transactions.length,
+      transactions
+    });
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Broadcast transactions signed offline. Body: { chainId, signedTransactions: [rawHex] }.
+ * They are sent in nonce order; each result says whether the node accepted it.
+ */
+app.post('/api/revoke/broadcast', async (req, res) => {
+  try {
+    const { chainId, signedTransactions } = req.body;
+
+    if (!Array.isArray(signedTransactions) || signedTransactions.length === 0 || signedTransactions.length > MAX_APPROVALS_PER_REQUEST) {
+      return res.status(400).json({ error: `signedTransactions must be a list of 1 to ${MAX_APPROVALS_PER_REQUEST} raw transactions` });
+    }
+
+    const network = getNetwork(parseChainId(chainId));
+    if (!network) {
+      return res.status(400).json({ error: `Unsupported network: ${chainId}` });
+    }
+
+    let parsed;
+    try {
+      parsed = signedTransactions.map(raw => {
+        const tx = ethers.Transaction.from(String(raw).trim());
+        if (!tx.signature || !tx.from) {
+          throw new Error(`Transaction with nonce ${tx.nonce} is not signed`);
+        }
+        if (tx.chainId !== BigInt(network.id)) {
+          throw new Error(`Transaction with nonce ${tx.nonce} is for chain ${tx.chainId}, not ${network.name}`);
+        }
+        return tx;
+      });
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid signed transaction: ${error.shortMessage || error.message}` });
+    }
+
+    const results = await broadcastSignedTransactions(network, parsed);
+
+    res.json({
+      success: true,
+      network: toPublicNetwork(network),
+      submittedCount: results.filter(result => result.status === 'submitted').length,
+      transactions: results
+    });
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Receipt status for broadcast transactions. Body: { chainId, hashes: [txHash] }
+ */
+app.post('/api/revoke/receipts', async (req, res) => {
+  try {
+    const { chainId, hashes } = req.body;
+
+    if (!Array.isArray(hashes) || hashes.length === 0 || hashes.length > MAX_APPROVALS_PER_REQUEST ||
+        hashes.some(hash => !ethers.isHexString(hash, 32))) {
+      return res.status(400).json({ error: `hashes must be a list of 1 to ${MAX_APPROVALS_PER_REQUEST} transaction hashes` });
+    }
+
+    const network = getNetwork(parseChainId(chainId));
+    if (!network) {
+      return res.status(400).json({ error: `Unsupported network: ${chainId}` });
+    }
+
+    const receipts = await getTransactionStatuses(network, hashes);
+
+    res.json({
+      success: true,
+      network: toPublicNetwork(network),
+      pendingCount: receipts.filter(receipt => receipt.status === 'pending').length,
+      receipts
+    });
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Approval firewall: decode an unsigned transaction (approve, increaseAllowance,
+ * setApprovalForAll or Permit2 approve) and score the approval it would create before it
+ * is signed. Returns verdict allow/warn/block with the reasons behind it.
+ */
+app.post('/api/analyze-tx', async (req, res) => {
+  try {
+    const { to, data, from, chainId } = req.body;
+
+    if (!to || !ethers.isAddress(to) || !from || !ethers.isAddress(from)) {
+      return res.status(400).json({ error: 'to and from must be valid addresses' });
+    }
+    if (typeof data !== 'string' || !ethers.isHexString(data, true)) {
+      return res.status(400).json({ error: 'data must be a hex string of whole bytes' });
+    }
+
+    const network = getNetwork(parseChainId(chainId));
+    if (!network) {
+      return res.status(400).json({ error: `Unsupported network: ${chainId}` });
+    }
+
+    let parsed;
+    try {
+      parsed = parseApprovalCall({ to, data });
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid approval calldata: ${error.message}` });
+    }
+
+    const analysis = await analyzeApprovalTx(network, { to, data, from }, parsed);
+
+    res.json({
+      success: true,
+      network: toPublicNetwork(network),
+      policyVersion: riskPolicy.version,
+      ...analysis
+    });
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Signature analyzer: takes an eth_signTypedData_v4 payload (object or JSON string) and explains
+ * what signing it would allow, for EIP-2612/DAI Permit, Permit2 PermitSingle/PermitBatch/
+ * PermitTransferFrom and Seaport orders. Returns the same allow/warn/block verdict as analyze-tx.
+ */
+app.post('/api/analyze-signature', async (req, res) => {
+  try {
+    const { typedData, from, chainId } = req.body;
+
+    if (from && !ethers.isAddress(from)) {
+      return res.status(400).json({ error: 'Invalid from address' });
+    }
+
+    let typed;
+    try {
+      typed = parseTypedData(typedData);
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid typed data: ${error.message}` });
+    }
+    const fieldError = getSignatureFieldError(typed);
+    if (fieldError) {
+      return res.status(400).json({ error: `Invalid ${typed.primaryType} signature: ${fieldError}` });
+    }
+
+    const domainChainId = typed.domain.chainId !== undefined ? Number(typed.domain.chainId) : null;
+    const network = getNetwork(parseChainId(chainId !== undefined ? chainId : domainChainId));
+    if (!network) {
+      return res.status(400).json({ error: `Unsupported network: ${chainId !== undefined ? chainId : domainChainId}` });
+    }
+
+    const analysis = await analyzeSignature(network, typed, from);
+
+    res.json({
+      success: true,
+      network: toPublicNetwork(network),
+      policyVersion: riskPolicy.version,
+      ...analysis
+    });
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Turn a chainIds request value ("mainnets", "testnets", "all" or a list of ids) into networks
+ */
+function resolveNetworks(chainIds) {
+  if (typeof chainIds === 'string') {
+    const types = { mainnets: ['mainnet'], testnets: ['testnet'], all: ['mainnet', 'testnet'] }[chainIds];
+    if (!types) {
+      return { error: 'chainIds must be "mainnets", "testnets", "all" or a list of chain IDs' };
+    }
+    return { networks: networkList.filter(network => types.includes(network.type)) };
+  }
+
+  if (!Array.isArray(chainIds) || chainIds.length === 0) {
+    return { error: 'chainIds must be "mainnets", "testnets", "all" or a list of chain IDs' };
+  }
+
+  const networks = [];
+  for (const chainId of chainIds) {
+    const network = getNetwork(parseChainId(chainId));
+    if (!network) {
+      return { error: `Unsupported network: ${chainId}` };
+    }
+    if (!networks.includes(network)) {
+      networks.push(network);
+    }
+  }
+  return { networks };
+}
+
+/**
+ * Scan several networks in parallel. A failing chain is reported, not thrown.
+ * Progress events are tagged with the network they belong to; options.onChainComplete
+ * receives each per-network result as soon as that network finishes.
+ */
+async function scanNetworks(walletAddress, networks, options = {}) {
+  return mapWithConcurrency(networks, CHAIN_SCAN_CONCURRENCY, async (network) => {
+    // A timed-out scan keeps running in the background; once its chain is reported, drop its events
+    let reported = false;
+    const untilReported = (callback) => callback && ((...args) => {
+      if (!reported) {
+        callback(...args);
+      }
+    });
+    const chainOptions = {
+      ...options,
+      onProgress: untilReported(options.onProgress && ((progress) => options.onProgress({ chainId: network.id, networkName: network.name, ...progress }))),
+      onApproval: untilReported(options.onApproval)
+    };
+
+    let result;
+    try {
+      const { approvals, safe, scan } = await withTimeout(
+        scanApprovals(walletAddress, network, chainOptions),
+        CHAIN_SCAN_TIMEOUT_MS,
+        `Scan timed out after ${CHAIN_SCAN_TIMEOUT_MS / 1000}s`
+      );
+      result = {
+        network: toPublicNetwork(network),
+        status: 'success',
+        scan,
+        safe,
+        count: approvals.length,
+        totalValueAtRisk: sumValueAtRisk(approvals),
+        approvals
+      };
+    } catch (error) {
+      console.error(`Error scanning ${network.name}:`, error.message);
+      result = {
+        network: toPublicNetwork(network),
+        status: 'failed',
+        count: 0,
+        totalValueAtRisk: 0,
+        approvals: [],
+        error: error.shortMessage || error.message
+      };
+    }
+
+    reported = true;
+    if (options.onChainComplete) {
+      options.onChainComplete(result);
+    }
+    return result;
+  });
+}
+
+/**
+ * Order approvals by dollars at risk (unpriced ones last) or by risk score, highest first.
+ * Without sortBy the scan order is kept.
+ */
+function sortApprovals(approvals, sortBy) {
+  if (sortBy === 'valueAtRisk') {
+    const exposure = (approval) => approval.valueAtRisk ? approval.valueAtRisk.exposureUsd : -1;
+    return [...approvals].sort((a, b) => exposure(b) - exposure(a) || b.riskScore - a.riskScore);
+  }
+  if (sortBy === 'riskScore') {
+    return [...approvals].sort((a, b) => b.riskScore - a.riskScore);
+  }
+  return approvals;
+}
+
+/**
+ * Total USD the wallet could lose. A balance can only be drained once, so the exposure of
+ * several approvals on the same token is capped at that token's balance.
+ */
+function sumValueAtRisk(approvals) {
+  const byToken = new Map();
+  for (const approval of approvals) {
+    if (!approval.valueAtRisk) {
+      continue;
+    }
+    const key = `${approval.chainId}:${approval.tokenAddress.toLowerCase()}`;
+    const current = byToken.get(key) || 0;
+    byToken.set(key, Math.min(current + approval.valueAtRisk.exposureUsd, approval.valueAtRisk.balanceUsd));
+  }
+
+  const total = Array.from(byToken.values()).reduce((sum, value) => sum + value, 0);
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * Wallet-level assessment: an A–F grade from the policy's wallet deductions, counts of the findings that
+ * drive it, total value at risk and the three approvals most worth revoking first
+ */
+function summarizeWallet(approvals) {
+  const isUnverified = (approval) => !approval.isVerified;
+  const unlimited = approvals.filter(approval => approval.isUnlimited || approval.approvalType === 'nft-operator');
+  const exploited = approvals.filter(approval => approval.hasKnownExploit);
+  const unverified = approvals.filter(isUnverified);
+  const unlimitedUnverified = unlimited.filter(isUnverified);
+  const highRisk = approvals.filter(approval => approval.riskScore >= riskPolicy.thresholds.highRiskScore);
+  const dormant = approvals.filter(approval => approval.usage && approval.usage.dormant);
+
+  const { deductions, grades } = riskPolicy.wallet;
+  const score = Math.max(0, 100 -
+    exploited.length * deductions.exploitedSpender -
+    unlimitedUnverified.length * deductions.unlimitedUnverified -
+    highRisk.length * deductions.highRisk -
+    unlimited.length * deductions.unlimited -
+    dormant.length * deductions.dormant);
+  // Any approval to an exploited spender is an emergency, whatever else the wallet looks like
+  const grade = exploited.length > 0 ? grades[grades.length - 1].grade : grades.find(entry => score >= entry.minScore).grade;
+
+  return {
+    grade,
+    score,
+    approvalCount: approvals.length,
+    unlimitedCount: unlimited.length,
+    unverifiedApprovalCount: unverified.length,
+    exploitedApprovalCount: exploited.length,
+    highRiskCount: highRisk.length,
+    dormantCount: dormant.length,
+    totalValueAtRisk: sumValueAtRisk(approvals),
+    topActions: getTopActions(approvals, 3)
+  };
+}
+
+/**
+ * Rank approvals by urgency (known exploits first, then dollars at risk and risk score)
+ * and describe what to do about each
+ */
+function getTopActions(approvals, limit) {
+  const urgency = (approval) => (approval.hasKnownExploit ? 1000 : 0) +
+    (approval.spenderCode && approval.spenderCode.kind === 'eoa' ? 500 : 0) +
+    (approval.valueAtRisk ? Math.log10(1 + approval.valueAtRisk.exposureUsd) * 10 : 0) +
+    approval.riskScore;
+
+  return [...approvals]
+    .sort((a, b) => urgency(b) - urgency(a))
+    .slice(0, limit)
+    .map(approval => {
+      const kind = approval.approvalType === 'permit2' ? 'Permit2 allowance' : 'approval';
+      const target = `${approval.tokenSymbol || approval.tokenName || 'token'} ${kind} for ${approval.spenderName || approval.spender}`;
+      let reason = `Risk score ${approval.riskScore}/100`;
+      if (approval.hasKnownExploit) {
+        reason = `Spender is linked to ${approval.exploits.length} known exploit(s)`;
+      } else if (approval.spenderCode && approval.spenderCode.kind === 'eoa') {
+        reason = 'Spender is a wallet, not a contract: whoever holds its key can take these tokens';
+      } else if ((approval.isUnlimited || approval.approvalType === 'nft-operator') && !approval.isVerified) {
+        reason = 'Unlimited access granted to an unverified contract';
+      } else if (approval.recommendation) {
+        reason = approval.recommendation;
+      } else if (approval.valueAtRisk && approval.valueAtRisk.exposureUsd > 0) {
+        reason = `$${approval.valueAtRisk.exposureUsd.toLocaleString('en-US')} can be moved by this spender`;
+      }
+
+      return {
+        approvalId: approval.id,
+        action: `Revoke the ${target}`,
+        reason
+      };
+    });
+}
+
+/**
+ * Run an async function over items with at most `limit` in flight, keeping result order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Find all active token and NFT approvals granted by a wallet on one network.
+ * Logs are only fetched after the wallet's cached checkpoint unless options.fullRescan is set;
+ * every known token/spender pair is still re-checked on-chain.
+ * options.onProgress receives { stage, percent, message } updates and options.onApproval
+ * each approval as soon as it is scored.
+ */
+async function scanApprovals(walletAddress, network, options = {}) {
+  throwIfAborted(options.signal);
+  const provider = getProvider(network);
+  const addressTopic = ethers.zeroPadValue(walletAddress, 32);
+  const latestBlock = await provider.getBlockNumber();
+  const checkpoint = options.fullRescan ? null : getScanCheckpoint(walletAddress, network);
+  const fromBlock = checkpoint ? Math.max(checkpoint.lastBlock - SCAN_CACHE_REORG_BUFFER, 0) : 0;
+  const reportProgress = (query, label) => (progress) => {
+    if (options.onProgress) {
+      options.onProgress({ stage: 'logs', query, ...progress, message: `Fetched ${label} logs ${progress.percent}%` });
+    }
+  };
+
+  // ERC-20 and ERC-721 share the Approval topic; one query covers both plus ApprovalForAll
+  const logs = await fetchLogs(provider, {
+    topics: [[APPROVAL_TOPIC, APPROVAL_FOR_ALL_TOPIC], addressTopic]
+  }, { fromBlock, toBlock: latestBlock, signal: options.signal, onProgress: reportProgress('approvals', 'approval') });
+
+  const candidates = collectApprovalCandidates(logs, checkpoint);
+
+  const permit2Logs = await fetchLogs(provider, {
+    address: PERMIT2_ADDRESS,
+    topics: [[
+      permit2Interface.getEvent('Approval').topicHash,
+      permit2Interface.getEvent('Permit').topicHash,
+      permit2Interface.getEvent('Lockdown').topicHash
+    ], addressTopic]
+  }, { fromBlock, toBlock: latestBlock, signal: options.signal, onProgress: reportProgress('permit2', 'Permit2') });
+  const permit2Candidates = collectPermit2Candidates(permit2Logs, checkpoint);
+
+  // Outgoing transfers show which spenders actually use their allowance.
+  // ERC-20/721 Transfer has `from` as topic 1; ERC-1155 has the operator first and `from` second.
+  const transferLogs = await fetchLogs(provider, {
+    topics: [TRANSFER_TOPIC, addressTopic]
+  }, { fromBlock, toBlock: latestBlock, signal: options.signal, onProgress: reportProgress('transfers', 'transfer') });
+  const erc1155TransferLogs = await fetchLogs(provider, {
+    topics: [[TRANSFER_SINGLE_TOPIC, TRANSFER_BATCH_TOPIC], null, addressTopic]
+  }, { fromBlock, toBlock: latestBlock, signal: options.signal, onProgress: reportProgress('erc1155-transfers', 'ERC-1155 transfer') });
+
+  // Pairs the checkpoint holds no usage for were only checked from its last block; read their transfers from the grant
+  const untracked = getUntrackedUsagePairs(candidates, permit2Candidates, checkpoint);
+  const backfillFrom = Math.min(...untracked.values());
+  if (backfillFrom < fromBlock) {
+    transferLogs.push(...await fetchLogs(provider, {
+      topics: [TRANSFER_TOPIC, addressTopic]
+    }, { fromBlock: backfillFrom, toBlock: fromBlock - 1, signal: options.signal }));
+    erc1155TransferLogs.push(...await fetchLogs(provider, {
+      topics: [[TRANSFER_SINGLE_TOPIC, TRANSFER_BATCH_TOPIC], null, addressTopic]
+    }, { fromBlock: backfillFrom, toBlock: fromBlock - 1, signal: options.signal }));
+  }
+  const usage = await collectSpenderUsage(provider, walletAddress, [...transferLogs, ...erc1155TransferLogs], candidates, permit2Candidates, checkpoint, new Set(untracked.keys()));
+
+  throwIfAborted(options.signal);
+  const approvals = await resolveApprovals(walletAddress, network, provider, candidates, permit2Candidates, usage, options);
+
+  throwIfAborted(options.signal);
+  saveScanCheckpoint(walletAddress, network, latestBlock, candidates, permit2Candidates, usage);
+  // Safe detection only adds detail; a failing read must not cost the chain's approvals
+  let safe = null;
+  try {
+    safe = await detectSafe(provider, walletAddress);
+  } catch (error) {
+    console.warn(`⚠ Safe detection failed for ${walletAddress} on ${network.name}:`, error.shortMessage || error.message);
+  }
+
+  return {
+    approvals,
+    safe,
+    scan: {
+      fromBlock,
+      toBlock: latestBlock,
+      incremental: Boolean(checkpoint)
+    }
+  };
+}
+
+/**
+ * Every approval event for a wallet grouped by grant, oldest first, with block timestamps,
+ * the transaction that emitted it and how it changed the grant
+ */
+async function getApprovalHistory(walletAddress, network, filters = {}) {
+  const provider = getProvider(network);
+  const ownerTopic = ethers.zeroPadValue(walletAddress, 32);
+  const latestBlock = await provider.getBlockNumber();
+  const wants = (type) => !filters.approvalType || filters.approvalType === type;
+
+  const [tokenLogs, permit2Logs] = await Promise.all([
+    wants('erc20') || wants('nft-operator') || wants('nft-token')
+      ? fetchLogs(provider, {
+        ...(filters.tokenAddress ? { address: filters.tokenAddress } : {}),
+        topics: [[APPROVAL_TOPIC, APPROVAL_FOR_ALL_TOPIC], ownerTopic]
+      }, { fromBlock: 0, toBlock: latestBlock })
+      : [],
+    // Lockdown keeps token and spender unindexed, so Permit2 logs are filtered after parsing
+    wants('permit2')
+      ? fetchLogs(provider, {
+        address: PERMIT2_ADDRESS,
+        topics: [[
+          permit2Interface.getEvent('Approval').topicHash,
+          permit2Interface.getEvent('Permit').topicHash,
+          permit2Interface.getEvent('Lockdown').topicHash
+        ], ownerTopic]
+      }, { fromBlock: 0, toBlock: latestBlock })
+      : []
+  ]);
+
+  const events = [...tokenLogs.map(parseApprovalEvent), ...permit2Logs.map(parsePermit2Event)]
+    .filter(Boolean)
+    .filter(event => wants(event.approvalType))
+    .filter(event => !filters.tokenAddress || event.tokenAddress.toLowerCase() === filters.tokenAddress.toLowerCase())
+    .filter(event => !filters.spender || event.approvalType === 'nft-token' || event.spender.toLowerCase() === filters.spender.toLowerCase())
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  const blockNumbers = [...new Set(events.map(event => event.blockNumber))];
+  const txHashes = [...new Set(events.map(event => event.transactionHash))];
+  const erc20Tokens = events.filter(event => event.value !== undefined).map(event => event.tokenAddress);
+
+  const [blocks, transactions, tokenMetadata] = await Promise.all([
+    mapWithConcurrency(blockNumbers, CHAIN_LOOKUP_CONCURRENCY, blockNumber => provider.getBlock(blockNumber).catch(() => null)),
+    mapWithConcurrency(txHashes, CHAIN_LOOKUP_CONCURRENCY, hash => provider.getTransaction(hash).catch(() => null)),
+    fetchTokenMetadata(provider, walletAddress, erc20Tokens)
+  ]);
+  const timestamps = new Map(blockNumbers.map((blockNumber, i) => [blockNumber, blocks[i] ? blocks[i].timestamp : null]));
+  const transactionsByHash = new Map(txHashes.map((hash, i) => [hash, transactions[i]]));
+
+  const pairs = new Map();
+  for (const event of events) {
+    const id = getApprovalId(network, event.approvalType, event);
+    if (!pairs.has(id)) {
+      pairs.set(id, {
+        id,
+        approvalType: event.approvalType,
+        tokenAddress: event.tokenAddress,
+        tokenUrl: getExplorerUrl(network, 'token', event.tokenAddress),
+        spender: event.spender,
+        tokenId: event.tokenId,
+        events: []
+      });
+    }
+
+    const pair = pairs.get(id);
+    const previous = pair.events[pair.events.length - 1];
+    const timestamp = timestamps.get(event.blockNumber);
+    const transaction = transactionsByHash.get(event.transactionHash);
+    const token = tokenMetadata.get(event.tokenAddress.toLowerCase());
+    // Single-NFT grants move between spenders, so the pair keeps the latest non-zero one
+    if (event.approvalType === 'nft-token' && event.spender !== ethers.ZeroAddress) {
+      pair.spender = event.spender;
+    }
+
+    pair.events.push({
+      event: event.name,
+      change: describeApprovalChange(event, previous),
+      value: event.value !== undefined ? event.value.toString() : undefined,
+      valueDisplay: formatHistoryValue(event, token),
+      spender: event.spender,
+      blockNumber: event.blockNumber,
+      timestamp,
+      date: timestamp ? new Date(timestamp * 1000).toISOString() : null,
+      transactionHash: event.transactionHash,
+      txUrl: getExplorerUrl(network, 'tx', event.transactionHash),
+      // The contract the wallet called: the token itself for a direct approve, otherwise the dApp's router
+      calledContract: transaction && transaction.to ? transaction.to : null,
+      calledContractName: transaction && transaction.to && contractDatabase[transaction.to.toLowerCase()]
+        ? contractDatabase[transaction.to.toLowerCase()].name
+        : null,
+      sentBy: transaction ? transaction.from : null
+    });
+  }
+
+  return Array.from(pairs.values()).map(pair => {
+    const firstGrant = pair.events.find(event => event.change === 'granted') || pair.events[0];
+    const token = tokenMetadata.get(pair.tokenAddress.toLowerCase());
+    return {
+      ...pair,
+      tokenSymbol: token ? token.symbol : null,
+      spenderUrl: getExplorerUrl(network, 'address', pair.spender),
+      firstGrantedAt: firstGrant.date,
+      firstGrantedTx: firstGrant.transactionHash,
+      firstGrantedTxUrl: firstGrant.txUrl,
+      lastChangedAt: pair.events[pair.events.length - 1].date
+    };
+  });
+}
+
+function parseApprovalEvent(log) {
+  try {
+    const base = {
+      tokenAddress: log.address,
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      transactionHash: log.transactionHash
+    };
+
+    if (log.topics[0] === APPROVAL_FOR_ALL_TOPIC) {
+      const [approved] = ethers.AbiCoder.defaultAbiCoder().decode(['bool'], log.data);
+      return { ...base, approvalType: 'nft-operator', name: 'ApprovalForAll', spender: topicToAddress(log.topics[2]), approved };
+    }
+    if (log.topics.length === 4) {
+      return { ...base, approvalType: 'nft-token', name: 'Approval', spender: topicToAddress(log.topics[2]), tokenId: BigInt(log.topics[3]).toString() };
+    }
+
+    const parsedLog = erc20Interface.parseLog(log);
+    return { ...base, approvalType: 'erc20', name: 'Approval', spender: parsedLog.args.spender, value: parsedLog.args.value };
+  } catch (e) {
+    return null;
+  }
+}
+
+function parsePermit2Event(log) {
+  try {
+    const parsedLog = permit2Interface.parseLog(log);
+    const { token, spender } = parsedLog.args;
+    return {
+      approvalType: 'permit2',
+      name: parsedLog.name,
+      tokenAddress: token,
+      spender,
+      value: parsedLog.name === 'Lockdown' ? 0n : parsedLog.args.amount,
+      expiration: parsedLog.name === 'Lockdown' ? null : Number(parsedLog.args.expiration),
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      transactionHash: log.transactionHash
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+function describeApprovalChange(event, previous) {
+  if (event.approvalType === 'nft-operator') {
+    return event.approved ? 'granted' : 'revoked';
+  }
+  if (event.approvalType === 'nft-token') {
+    return event.spender === ethers.ZeroAddress ? 'revoked' : 'granted';
+  }
+  if (event.value === 0n) {
+    return 'revoked';
+  }
+  if (!previous || previous.change === 'revoked') {
+    return 'granted';
+  }
+
+  const previousValue = BigInt(previous.value);
+  if (event.value > previousValue) {
+    return 'increased';
+  }
+  return event.value < previousValue ? 'decreased' : 'renewed';
+}
+
+function formatHistoryValue(event, token) {
+  if (event.approvalType === 'nft-operator') {
+    return event.approved ? 'All NFTs in collection' : 'Operator removed';
+  }
+  if (event.approvalType === 'nft-token') {
+    return event.spender === ethers.ZeroAddress ? `Token #${event.tokenId} approval cleared` : `Token #${event.tokenId}`;
+  }
+
+  const unlimited = event.approvalType === 'permit2' ? MAX_UINT160 : ethers.MaxUint256;
+  let display = event.value === unlimited
+    ? 'Unlimited'
+    : `${token ? ethers.formatUnits(event.value, token.decimals) : event.value.toString()} ${token ? token.symbol : ''}`.trim();
+  if (event.expiration) {
+    display += ` (expires ${new Date(event.expiration * 1000).toISOString()})`;
+  }
+  return display;
+}
+
+/**
+ * How each known spender has used its allowance: tokens that left the wallet in a transaction
+ * sent to the spender (for ERC-1155, with the spender as operator). `spenders` is keyed
+ * `${token}-${spender}`. Transfers a Permit2 spender makes also count as use of the token's
+ * approval to Permit2 itself. Relayers and conduits (CoW, Seaport, routers behind multicalls)
+ * move tokens in transactions sent elsewhere, so `unattributed` keeps the last block per token
+ * with an outgoing transfer that no spender can be matched to.
+ * Pairs in `untracked` count every log given, not just those after the checkpoint.
+ */
+async function collectSpenderUsage(provider, walletAddress, transferLogs, candidates, permit2Candidates, checkpoint, untracked = new Set()) {
+  const spenders = new Map(((checkpoint && checkpoint.usage) || [])
+    .map(entry => [getUsageKey(entry.tokenAddress, entry.spender), entry])
+    .filter(([key]) => !untracked.has(key)));
+  const unattributed = new Map(((checkpoint && checkpoint.unattributedTransfers) || []).map(entry => [entry.tokenAddress.toLowerCase(), entry.blockNumber]));
+  // Logs in the reorg buffer were already counted by the previous scan
+  const isNew = (log, key) => !checkpoint || log.blockNumber > checkpoint.lastBlock || untracked.has(key);
+
+  const spendersByToken = new Map();
+  const addSpender = ({ tokenAddress, spender }) => {
+    const token = tokenAddress.toLowerCase();
+    if (!spendersByToken.has(token)) {
+      spendersByToken.set(token, new Set());
+    }
+    spendersByToken.get(token).add(spender.toLowerCase());
+  };
+  [...candidates.tokens.values(), ...candidates.operators.values(), ...candidates.nftTokens.values()].forEach(addSpender);
+  permit2Candidates.forEach(addSpender);
+  const permit2Spenders = new Set(Array.from(permit2Candidates.values()).map(pair => getUsageKey(pair.tokenAddress, pair.spender)));
+
+  const record = (tokenAddress, spender, log, amount) => {
+    const key = getUsageKey(tokenAddress, spender);
+    if (!isNew(log, key)) {
+      return;
+    }
+    const entry = spenders.get(key) || { tokenAddress, spender, transferCount: 0, amountMoved: '0', lastUsedBlock: null, lastUsedTx: null };
+    entry.transferCount++;
+    entry.amountMoved = (BigInt(entry.amountMoved) + amount).toString();
+    if (entry.lastUsedBlock === null || log.blockNumber >= entry.lastUsedBlock) {
+      entry.lastUsedBlock = log.blockNumber;
+      entry.lastUsedTx = log.transactionHash;
+    }
+    spenders.set(key, entry);
+  };
+  const recordUnattributed = (log) => {
+    const token = log.address.toLowerCase();
+    unattributed.set(token, Math.max(unattributed.get(token) || 0, log.blockNumber));
+  };
+
+  const relevantLogs = transferLogs.filter(log => spendersByToken.has(log.address.toLowerCase()));
+  const erc1155Logs = relevantLogs.filter(log => log.topics[0] !== TRANSFER_TOPIC);
+  const transferOnlyLogs = relevantLogs.filter(log => log.topics[0] === TRANSFER_TOPIC);
+
+  for (const log of erc1155Logs) {
+    const operator = topicToAddress(log.topics[1]);
+    if (operator.toLowerCase() === walletAddress.toLowerCase()) {
+      continue;
+    }
+    if (!spendersByToken.get(log.address.toLowerCase()).has(operator.toLowerCase())) {
+      recordUnattributed(log);
+      continue;
+    }
+    try {
+      const amounts = log.topics[0] === TRANSFER_SINGLE_TOPIC
+        ? [ethers.AbiCoder.defaultAbiCoder().decode(['uint256', 'uint256'], log.data)[1]]
+        : ethers.AbiCoder.defaultAbiCoder().decode(['uint256[]', 'uint256[]'], log.data)[1];
+      record(log.address, operator, log, amounts.reduce((sum, amount) => sum + amount, 0n));
+    } catch (e) {
+      // Malformed ERC-1155 log, nothing to attribute
+    }
+  }
+
+  // ERC-20/721 transfers do not name the caller, so the transaction's `to` identifies the spender
+  const txHashes = [...new Set(transferOnlyLogs.map(log => log.transactionHash))];
+  const transactions = await mapWithConcurrency(txHashes, CHAIN_LOOKUP_CONCURRENCY, hash => provider.getTransaction(hash).catch(() => null));
+  const transactionsByHash = new Map(txHashes.map((hash, i) => [hash, transactions[i]]));
+
+  for (const log of transferOnlyLogs) {
+    const transaction = transactionsByHash.get(log.transactionHash);
+    const target = transaction && transaction.to ? transaction.to : null;
+    // The wallet calling transfer() on the token itself is not a spender's doing
+    if (target && target.toLowerCase() === log.address.toLowerCase() && transaction.from.toLowerCase() === walletAddress.toLowerCase()) {
+      continue;
+    }
+    if (!target || !spendersByToken.get(log.address.toLowerCase()).has(target.toLowerCase())) {
+      recordUnattributed(log);
+      continue;
+    }
+    // ERC-721 moves one token per log (tokenId indexed); ERC-20 carries the amount in data
+    const amount = log.topics.length === 4 ? 1n : BigInt(log.data);
+    record(log.address, target, log, amount);
+    if (permit2Spenders.has(getUsageKey(log.address, target))) {
+      record(log.address, PERMIT2_ADDRESS, log, amount);
+    }
+  }
+
+  return { spenders, unattributed };
+}
+
+/**
+ * Usage keys of pairs the checkpoint holds no usage history for, with the block each was
+ * granted in. A checkpoint from before unattributed transfers were kept tracks none.
+ */
+function getUntrackedUsagePairs(candidates, permit2Candidates, checkpoint) {
+  const untracked = new Map();
+  if (!checkpoint) {
+    return untracked;
+  }
+
+  const tracked = checkpoint.unattributedTransfers
+    ? new Set([...checkpoint.tokens, ...checkpoint.operators, ...checkpoint.nftTokens, ...checkpoint.permit2].map(pair => getUsageKey(pair.tokenAddress, pair.spender)))
+    : new Set();
+  const pairs = [...candidates.tokens.values(), ...candidates.operators.values(), ...candidates.nftTokens.values(), ...permit2Candidates.values()];
+  for (const pair of pairs) {
+    const key = getUsageKey(pair.tokenAddress, pair.spender);
+    if (!tracked.has(key)) {
+      untracked.set(key, Math.min(untracked.has(key) ? untracked.get(key) : pair.blockNumber, pair.blockNumber));
+    }
+  }
+  return untracked;
+}
+
+function getUsageKey(tokenAddress, spender) {
+  return `${tokenAddress}-${spender}`.toLowerCase();
+}
+
+/**
+ * Last use, total moved and idle time for one approval. Idle time runs from the last use,
+ * or from the grant when the spender never used it. Usage is `unknown` when a transfer no
+ * spender could be matched to left the wallet after that point; it may have been this one.
+ */
+function describeUsage(network, pair, usage, blockTimestamps, decimals) {
+  const entry = usage.spenders.get(getUsageKey(pair.tokenAddress, pair.spender));
+  const unattributedBlock = usage.unattributed.get(pair.tokenAddress.toLowerCase());
+  const knownUntil = entry ? entry.lastUsedBlock : pair.blockNumber;
+  const unknown = unattributedBlock !== undefined && (knownUntil === undefined || unattributedBlock >= knownUntil);
+  const lastUsedAt = entry ? blockTimestamps.get(entry.lastUsedBlock) : null;
+  const grantedAt = pair.blockNumber !== undefined ? blockTimestamps.get(pair.blockNumber) : null;
+  const idleSince = lastUsedAt || grantedAt;
+  const idleDays = idleSince ? Math.floor((Date.now() / 1000 - idleSince) / 86400) : null;
+
+  return {
+    used: Boolean(entry),
+    lastUsedAt: lastUsedAt ? new Date(lastUsedAt * 1000).toISOString() : null,
+    lastUsedBlock: entry ? entry.lastUsedBlock : null,
+    lastUsedTx: entry ? entry.lastUsedTx : null,
+    lastUsedTxUrl: entry ? getExplorerUrl(network, 'tx', entry.lastUsedTx) : null,
+    transferCount: entry ? entry.transferCount : 0,
+    amountMoved: entry ? ethers.formatUnits(entry.amountMoved, decimals) : '0',
+    idleDays,
+    unknown,
+    dormant: !unknown && idleDays !== null && idleDays >= riskPolicy.factors.dormancy.dormantAfterDays
+  };
+}
+
+function getUsageRecommendation(usage) {
+  if (!usage || !usage.dormant) {
+    return null;
+  }
+  return usage.used
+    ? `Not used for ${usage.idleDays} days. Revoke it and approve again the next time you use this dApp.`
+    : `Never used in the ${usage.idleDays} days since it was granted. Revoke it unless you still plan to use this dApp.`;
+}
+
+async function getBlockTimestamps(provider, blockNumbers) {
+  const blocks = [...new Set(blockNumbers.filter(blockNumber => blockNumber !== null && blockNumber !== undefined))];
+  const results = await mapWithConcurrency(blocks, CHAIN_LOOKUP_CONCURRENCY, blockNumber => provider.getBlock(blockNumber).catch(() => null));
+  return new Map(blocks.map((blockNumber, i) => [blockNumber, results[i] ? results[i].timestamp : null]));
+}
+
+function getScanCacheKey(walletAddress, network) {
+  return `${network.id}:${walletAddress.toLowerCase()}`;
+}
+
+function getScanCheckpoint(walletAddress, network) {
+  return scanCache[getScanCacheKey(walletAddress, network)] || null;
+}
+
+/**
+ * Persist the scanned block and every known pair so the next scan only reads newer logs
+ */
+function saveScanCheckpoint(walletAddress, network, lastBlock, candidates, permit2Candidates, usage) {
+  scanCache[getScanCacheKey(walletAddress, network)] = {
+    chainId: network.id,
+    walletAddress: walletAddress.toLowerCase(),
+    lastBlock,
+    updatedAt: new Date().toISOString(),
+    tokens: Array.from(candidates.tokens.values()),
+    operators: Array.from(candidates.operators.values()),
+    nftTokens: Array.from(candidates.nftTokens.values()),
+    permit2: Array.from(permit2Candidates.values()),
+    usage: Array.from(usage.spenders.values()),
+    unattributedTransfers: Array.from(usage.unattributed, ([tokenAddress, blockNumber]) => ({ tokenAddress, blockNumber }))
+  };
+
+  try {
+    fs.writeFileSync(SCAN_CACHE_PATH, JSON.stringify(scanCache, null, 2));
+  } catch (error) {
+    console.warn('⚠ Unable to write scan cache:', error.message);
+  }
+}
+
+/**
+ * eth_getLogs over [fromBlock, toBlock] in chunks, so busy wallets stay within RPC range
+ * and result-size limits. Transient errors are retried with exponential backoff.
+ */
+async function fetchLogs(provider, filter, { fromBlock = 0, toBlock, onProgress, signal } = {}) {
+  const lastBlock = toBlock === undefined ? await provider.getBlockNumber() : toBlock;
+  const totalBlocks = lastBlock - fromBlock + 1;
+  const logs = [];
+  let chunkSize = LOG_CHUNK_SIZE;
+  // After a range error the chunk may only grow back past the failed size after a run of successes
+  let maxChunkSize = LOG_CHUNK_SIZE;
+  let successStreak = 0;
+  let start = fromBlock;
+  let attempt = 0;
+
+  while (start <= lastBlock) {
+    throwIfAborted(signal);
+    const end = Math.min(start + chunkSize - 1, lastBlock);
+
+    try {
+      const chunk = await provider.getLogs({ ...filter, fromBlock: start, toBlock: end });
+      logs.push(...chunk);
+      start = end + 1;
+      attempt = 0;
+      successStreak++;
+      if (successStreak >= LOG_GROWTH_STREAK) {
+        maxChunkSize = Math.min(maxChunkSize * 2, LOG_CHUNK_SIZE);
+        successStreak = 0;
+      }
+      chunkSize = Math.min(chunkSize * 2, maxChunkSize);
+
+      if (onProgress) {
+        onProgress({
+          fromBlock,
+          toBlock: lastBlock,
+          scannedTo: end,
+          percent: Math.round(((end - fromBlock + 1) / totalBlocks) * 100)
+        });
+      }
+    } catch (error) {
+      if (isLogRangeError(error) && chunkSize > LOG_MIN_CHUNK_SIZE) {
+        const suggested = suggestedLogRange(error);
+        const nextSize = suggested && suggested < chunkSize ? suggested : Math.floor(chunkSize / 2);
+        chunkSize = Math.max(nextSize, LOG_MIN_CHUNK_SIZE);
+        maxChunkSize = chunkSize;
+        successStreak = 0;
+        continue;
+      }
+
+      attempt++;
+      if (attempt > LOG_MAX_RETRIES) {
+        throw error;
+      }
+      await sleep(LOG_RETRY_BASE_MS * 2 ** (attempt - 1));
+    }
+  }
+
+  return logs;
+}
+
+// options.signal lets a disconnected client stop a scan between RPC calls
+function throwIfAborted(signal) {
+  if (signal) {
+    signal.throwIfAborted();
+  }
+}
+
+// ethers wraps the RPC error; the provider's own message is what names the limit
+function getRpcErrorMessage(error) {
+  const rpcError = error.error || (error.info && error.info.error) || {};
+  return `${error.message || ''} ${rpcError.message || ''}`;
+}
+
+function isLogRangeError(error) {
+  return /block range|range (is )?too (large|wide)|too many (results|logs)|response size|more than \d+ results|limit exceeded|exceeds? (the )?(max|limit)|query timeout/i.test(getRpcErrorMessage(error));
+}
+
+/**
+ * Some providers (e.g. Alchemy) suggest a working range such as "[0x0, 0x4b7c9f]"
+ */
+function suggestedLogRange(error) {
+  const match = getRpcErrorMessage(error).match(/\[(0x[0-9a-f]+),\s*(0x[0-9a-f]+)\]/i);
+  if (!match) {
+    return null;
+  }
+  const size = parseInt(match[2], 16) - parseInt(match[1], 16) + 1;
+  return size > 0 ? size : null;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Reduce approval logs to the distinct grants worth re-checking on-chain,
+ * starting from the pairs already known from a cached checkpoint
+ */
+function collectApprovalCandidates(logs, checkpoint = null) {
+  const tokens = new Map();
+  const operators = new Map();
+  const nftTokens = new Map();
+
+  if (checkpoint) {
+    checkpoint.tokens.forEach(approval => tokens.set(`${approval.tokenAddress}-${approval.spender}`, approval));
+    checkpoint.operators.forEach(approval => operators.set(`${approval.tokenAddress}-${approval.spender}`, approval));
+    checkpoint.nftTokens.forEach(approval => nftTokens.set(`${approval.tokenAddress}-${approval.tokenId}`, approval));
+  }
+
+  for (const log of logs) {
+    try {
+      const tokenAddress = log.address;
+
+      const lastEvent = { blockNumber: log.blockNumber, transactionHash: log.transactionHash };
+
+      if (log.topics[0] === APPROVAL_FOR_ALL_TOPIC) {
+        const operator = topicToAddress(log.topics[2]);
+        operators.set(`${tokenAddress}-${operator}`, { tokenAddress, spender: operator, ...lastEvent });
+      } else if (log.topics.length === 4) {
+        // ERC-721 Approval indexes tokenId; the latest event per token wins
+        const spender = topicToAddress(log.topics[2]);
+        const tokenId = BigInt(log.topics[3]).toString();
+        const key = `${tokenAddress}-${tokenId}`;
+        if (spender === ethers.ZeroAddress) {
+          nftTokens.delete(key);
+        } else {
+          nftTokens.set(key, { tokenAddress, spender, tokenId, ...lastEvent });
+        }
+      } else {
+        const iface = new ethers.Interface(erc20Abi);
+        const parsedLog = iface.parseLog(log);
+        const { spender } = parsedLog.args;
+        tokens.set(`${tokenAddress}-${spender}`, { tokenAddress, spender, ...lastEvent });
+      }
+    } catch (e) {
+      // Skip non-matching logs
+    }
+  }
+
+  return { tokens, operators, nftTokens };
+}
+
+/**
+ * Token/spender pairs managed inside Permit2. Lockdown revokes a pair until it is approved again.
+ */
+function collectPermit2Candidates(logs, checkpoint = null) {
+  const pairs = new Map();
+
+  if (checkpoint) {
+    checkpoint.permit2.forEach(approval => pairs.set(`${approval.tokenAddress}-${approval.spender}`, approval));
+  }
+
+  for (const log of logs) {
+    try {
+      const parsedLog = permit2Interface.parseLog(log);
+      const { token, spender } = parsedLog.args;
+      const key = `${token}-${spender}`;
+      if (parsedLog.name === 'Lockdown') {
+        pairs.delete(key);
+      } else {
+        pairs.set(key, { tokenAddress: token, spender, blockNumber: log.blockNumber, transactionHash: log.transactionHash });
+      }
+    } catch (e) {
+      // Skip non-matching logs
+    }
+  }
+
+  return pairs;
+}
+
+function topicToAddress(topic) {
+  return ethers.getAddress(ethers.dataSlice(topic, 12));
+}
+
+/**
+ * Re-check every candidate on-chain and build approval objects for the ones still live.
+ * Approval state and token metadata are read in Multicall3 batches.
+ */
+async function resolveApprovals(walletAddress, network, provider, candidates, permit2Candidates, usage, options = {}) {
+  const tokenPairs = Array.from(candidates.tokens.values());
+  const operatorPairs = Array.from(candidates.operators.values());
+  const nftTokenPairs = Array.from(candidates.nftTokens.values());
+  const permit2Pairs = Array.from(permit2Candidates.values());
+
+  // Current approval state for every known pair, in one batch
+  const stateResults = await multicall(provider, [
+    ...tokenPairs.map(pair => ({ target: pair.tokenAddress, iface: erc20Interface, method: 'allowance', args: [walletAddress, pair.spender] })),
+    ...operatorPairs.map(pair => ({ target: pair.tokenAddress, iface: nftInterface, method: 'isApprovedForAll', args: [walletAddress, pair.spender] })),
+    ...nftTokenPairs.flatMap(pair => [
+      { target: pair.tokenAddress, iface: nftInterface, method: 'getApproved', args: [pair.tokenId] },
+      { target: pair.tokenAddress, iface: nftInterface, method: 'ownerOf', args: [pair.tokenId] }
+    ]),
+    ...permit2Pairs.map(pair => ({ target: PERMIT2_ADDRESS, iface: permit2Interface, method: 'allowance', args: [walletAddress, pair.tokenAddress, pair.spender] })),
+    // Permit2 can only pull what the token itself lets it, whatever the sub-allowance says
+    ...permit2Pairs.map(pair => ({ target: pair.tokenAddress, iface: erc20Interface, method: 'allowance', args: [walletAddress, PERMIT2_ADDRESS] }))
+  ]);
+
+  const tokenStates = stateResults.splice(0, tokenPairs.length);
+  const operatorStates = stateResults.splice(0, operatorPairs.length);
+  const nftTokenStates = stateResults.splice(0, nftTokenPairs.length * 2);
+  const permit2States = stateResults.splice(0, permit2Pairs.length);
+  const permit2TokenStates = stateResults.splice(0, permit2Pairs.length);
+  const now = Math.floor(Date.now() / 1000);
+
+  const activeTokens = tokenPairs
+    .map((pair, i) => ({ ...pair, allowance: tokenStates[i].value }))
+    .filter((pair, i) => tokenStates[i].success && pair.allowance > 0n);
+  const activeOperators = operatorPairs
+    .filter((pair, i) => operatorStates[i].success && operatorStates[i].value === true);
+  const activeNftTokens = nftTokenPairs.filter((pair, i) => {
+    const approved = nftTokenStates[i * 2];
+    const owner = nftTokenStates[i * 2 + 1];
+    return approved.success && owner.success &&
+      approved.value.toLowerCase() === pair.spender.toLowerCase() &&
+      owner.value.toLowerCase() === walletAddress.toLowerCase();
+  });
+  // Permit2 sub-allowances are live while the amount is non-zero and the expiration has not passed
+  const activePermit2 = permit2Pairs
+    .map((pair, i) => ({ ...pair, state: permit2States[i].value, tokenAllowance: permit2TokenStates[i].success ? permit2TokenStates[i].value : null }))
+    .filter((pair, i) => permit2States[i].success && pair.state.amount > 0n && Number(pair.state.expiration) >= now);
+
+  const pairCount = tokenPairs.length + operatorPairs.length + nftTokenPairs.length + permit2Pairs.length;
+  const activeCount = activeTokens.length + activeOperators.length + activeNftTokens.length + activePermit2.length;
+  const reportProgress = (progress) => {
+    if (options.onProgress) {
+      options.onProgress(progress);
+    }
+  };
+  reportProgress({ stage: 'checking', checked: pairCount, total: pairCount, active: activeCount, message: `Checked ${pairCount} pairs, ${activeCount} still active` });
+
+  const activePairs = [...activeTokens, ...activeOperators, ...activeNftTokens, ...activePermit2];
+  const [tokenMetadata, tokenPrices, collectionMetadata, blockTimestamps] = await Promise.all([
+    fetchTokenMetadata(provider, walletAddress, [...activeTokens, ...activePermit2].map(pair => pair.tokenAddress)),
+    fetchTokenPrices(provider, network, [...activeTokens, ...activePermit2].map(pair => pair.tokenAddress)),
+    fetchCollectionMetadata(provider, walletAddress, [...activeOperators, ...activeNftTokens].map(pair => pair.tokenAddress)),
+    getBlockTimestamps(provider, activePairs.flatMap(pair => {
+      const entry = usage.spenders.get(getUsageKey(pair.tokenAddress, pair.spender));
+      return [pair.blockNumber, entry ? entry.lastUsedBlock : null];
+    }))
+  ]);
+
+  // Each spender is looked up and inspected once per scan, however many tokens it holds approvals for
+  const spenderDetailsCache = new Map();
+  const codeSearchBudget = { remaining: CODE_SEARCHES_PER_SCAN };
+  const lookupSpender = (spender) => {
+    const key = spender.toLowerCase();
+    if (!spenderDetailsCache.has(key)) {
+      spenderDetailsCache.set(key, getSpenderProfile(provider, network, spender, { codeSearchBudget }));
+    }
+    return spenderDetailsCache.get(key);
+  };
+
+  // One bad approval (metadata, pricing or scoring throws) is logged and dropped, not the whole chain
+  const orNull = (approvalType, describe) => async (pair) => {
+    try {
+      return await describe(pair);
+    } catch (e) {
+      console.error(`Error processing ${approvalType} approval ${pair.tokenAddress} -> ${pair.spender} on ${network.name}:`, e.message);
+      return null;
+    }
+  };
+
+  const approvalPromises = [
+    ...activeTokens.map(orNull('erc20', async (pair) => {
+      const token = tokenMetadata.get(pair.tokenAddress.toLowerCase());
+      const spenderDetails = await lookupSpender(pair.spender);
+      const exploits = checkForExploits(pair.spender);
+      const activity = describeUsage(network, pair, usage, blockTimestamps, token.decimals);
+      const riskScoring = calculateRiskScore(spenderDetails, pair.allowance.toString(), token.balance.toString(), exploits, { approvalType: 'erc20', usage: activity, grantedAt: blockTimestamps.get(pair.blockNumber) });
+
+      return {
+        ...describeApproval(walletAddress, pair, network, 'erc20', spenderDetails, riskScoring, exploits, activity),
+        tokenStandard: 'ERC-20',
+        tokenName: token.name,
+        tokenSymbol: token.symbol,
+        allowance: ethers.formatUnits(pair.allowance, token.decimals).toString(),
+        isUnlimited: pair.allowance === ethers.MaxUint256,
+        userBalance: ethers.formatUnits(token.balance, token.decimals).toString(),
+        valueAtRisk: describeValueAtRisk(pair.allowance, token, tokenPrices.get(pair.tokenAddress.toLowerCase())),
+        decimals: token.decimals,
+        decimalsUnknown: token.decimalsUnknown,
+        metadataUnavailable: token.metadataUnavailable,
+        metadataIssues: token.metadataIssues
+      };
+    })),
+
+    // ApprovalForAll grant: the operator can move every NFT the wallet holds in the collection
+    ...activeOperators.map(orNull('nft-operator', async (pair) => {
+      const collection = collectionMetadata.get(pair.tokenAddress.toLowerCase());
+      const spenderDetails = await lookupSpender(pair.spender);
+      const exploits = checkForExploits(pair.spender);
+      const activity = describeUsage(network, pair, usage, blockTimestamps, 0);
+      const riskScoring = calculateRiskScore(spenderDetails, null, collection.balance, exploits, { approvalType: 'nft-operator', usage: activity, grantedAt: blockTimestamps.get(pair.blockNumber) });
+
+      return {
+        ...describeApproval(walletAddress, pair, network, 'nft-operator', spenderDetails, riskScoring, exploits, activity),
+        tokenStandard: collection.tokenStandard,
+        tokenName: collection.name,
+        tokenSymbol: collection.symbol,
+        allowance: 'All NFTs in collection',
+        isUnlimited: false,
+        userBalance: collection.balance,
+        valueAtRisk: null,
+        decimals: 0,
+        metadataUnavailable: collection.metadataUnavailable
+      };
+    })),
+
+    // ERC-721 per-token approval, live only while the wallet still owns the token
+    ...activeNftTokens.map(orNull('nft-token', async (pair) => {
+      const collection = collectionMetadata.get(pair.tokenAddress.toLowerCase());
+      const spenderDetails = await lookupSpender(pair.spender);
+      const exploits = checkForExploits(pair.spender);
+      const activity = describeUsage(network, pair, usage, blockTimestamps, 0);
+      const riskScoring = calculateRiskScore(spenderDetails, null, null, exploits, { approvalType: 'nft-token', usage: activity, grantedAt: blockTimestamps.get(pair.blockNumber) });
+
+      return {
+        ...describeApproval(walletAddress, pair, network, 'nft-token', spenderDetails, riskScoring, exploits, activity),
+        tokenStandard: 'ERC-721',
+        tokenName: collection.name,
+        tokenSymbol: collection.symbol,
+        tokenId: pair.tokenId,
+        allowance: `Token #${pair.tokenId}`,
+        isUnlimited: false,
+        userBalance: '1',
+        valueAtRisk: null,
+        decimals: 0,
+        metadataUnavailable: collection.metadataUnavailable
+      };
+    })),
+
+    ...activePermit2.map(orNull('permit2', async (pair) => {
+      const token = tokenMetadata.get(pair.tokenAddress.toLowerCase());
+      const { amount, expiration, nonce } = pair.state;
+      const reachable = pair.tokenAllowance !== null && pair.tokenAllowance < amount ? pair.tokenAllowance : amount;
+      const spenderDetails = await lookupSpender(pair.spender);
+      const exploits = checkForExploits(pair.spender);
+      const activity = describeUsage(network, pair, usage, blockTimestamps, token.decimals);
+      const riskScoring = calculateRiskScore(spenderDetails, amount.toString(), token.balance.toString(), exploits, { approvalType: 'permit2', usage: activity, grantedAt: blockTimestamps.get(pair.blockNumber) });
+
+      return {
+        ...describeApproval(walletAddress, pair, network, 'permit2', spenderDetails, riskScoring, exploits, activity),
+        tokenStandard: 'ERC-20',
+        tokenName: token.name,
+        tokenSymbol: token.symbol,
+        allowance: ethers.formatUnits(amount, token.decimals).toString(),
+        isUnlimited: amount === MAX_UINT160,
+        userBalance: ethers.formatUnits(token.balance, token.decimals).toString(),
+        valueAtRisk: describeValueAtRisk(reachable, token, tokenPrices.get(pair.tokenAddress.toLowerCase())),
+        decimals: token.decimals,
+        decimalsUnknown: token.decimalsUnknown,
+        metadataUnavailable: token.metadataUnavailable,
+        metadataIssues: token.metadataIssues,
+        permit2: {
+          contract: PERMIT2_ADDRESS,
+          amount: amount.toString(),
+          tokenAllowance: pair.tokenAllowance !== null ? pair.tokenAllowance.toString() : null,
+          expiration: Number(expiration),
+          expiresAt: new Date(Number(expiration) * 1000).toISOString(),
+          nonce: Number(nonce)
+        }
+      };
+    }))
+  ];
+
+  let scored = 0;
+  const reportedPromises = approvalPromises.map(promise => promise.then(approval => {
+    scored++;
+    if (approval && options.onApproval) {
+      options.onApproval(approval);
+    }
+    reportProgress({ stage: 'scoring', done: scored, total: activeCount, message: `Scoring approvals ${scored}/${activeCount}` });
+    return approval;
+  }));
+
+  return (await Promise.all(reportedPromises)).filter(Boolean);
+}
+
+/**
+ * USD price per token, keyed by lowercase address. The local price table wins, then the
+ * token's Chainlink feed, then (mainnet only) the Feed Registry. Stale or non-positive
+ * answers are dropped, so an unpriced token is simply missing from the map.
+ */
+async function fetchTokenPrices(provider, network, tokenAddresses) {
+  const prices = new Map();
+  const lookups = [];
+
+  for (const token of uniqueAddresses(tokenAddresses)) {
+    const key = `${network.id}:${token.toLowerCase()}`;
+    if (priceTable[key] !== undefined) {
+      prices.set(token.toLowerCase(), { usd: priceTable[key], source: 'price-table', updatedAt: null });
+    } else if (priceFeeds[key]) {
+      lookups.push({ token, source: 'chainlink', calls: [
+        { target: priceFeeds[key].feed, iface: chainlinkFeedInterface, method: 'latestRoundData' },
+        { target: priceFeeds[key].feed, iface: chainlinkFeedInterface, method: 'decimals' }
+      ] });
+    } else if (network.id === 1) {
+      lookups.push({ token, source: 'chainlink-registry', calls: [
+        { target: FEED_REGISTRY_ADDRESS, iface: feedRegistryInterface, method: 'latestRoundData', args: [token, FEED_REGISTRY_USD] },
+        { target: FEED_REGISTRY_ADDRESS, iface: feedRegistryInterface, method: 'decimals', args: [token, FEED_REGISTRY_USD] }
+      ] });
+    }
+  }
+
+  const results = await multicall(provider, lookups.flatMap(lookup => lookup.calls));
+  const now = Math.floor(Date.now() / 1000);
+
+  lookups.forEach((lookup, i) => {
+    const [round, decimals] = results.slice(i * 2, i * 2 + 2);
+    if (!round.success || !decimals.success) {
+      return;
+    }
+
+    const { answer, updatedAt } = round.value;
+    if (answer <= 0n || now - Number(updatedAt) > PRICE_MAX_AGE_SECONDS) {
+      console.warn(`⚠ Ignoring stale or invalid price for ${lookup.token} on ${network.name}`);
+      return;
+    }
+
+    prices.set(lookup.token.toLowerCase(), {
+      usd: Number(ethers.formatUnits(answer, decimals.value)),
+      source: lookup.source,
+      updatedAt: new Date(Number(updatedAt) * 1000).toISOString()
+    });
+  });
+
+  return prices;
+}
+
+/**
+ * What the spender could take right now, min(allowance, balance), valued in USD.
+ * Null when the token has no price or its decimals are unknown.
+ */
+function describeValueAtRisk(allowance, token, price) {
+  if (!price || token.decimalsUnknown) {
+    return null;
+  }
+
+  const exposure = allowance < token.balance ? allowance : token.balance;
+  const toUsd = (amount) => Math.round(Number(ethers.formatUnits(amount, token.decimals)) * price.usd * 100) / 100;
+
+  return {
+    priceUsd: price.usd,
+    priceSource: price.source,
+    priceUpdatedAt: price.updatedAt,
+    balanceUsd: toUsd(token.balance),
+    exposure: ethers.formatUnits(exposure, token.decimals),
+    exposureUsd: toUsd(exposure)
+  };
+}
+
+/**
+ * name/symbol/decimals/balanceOf for each ERC-20 token, keyed by lowercase address.
+ * Every token gets an entry: bytes32 name/symbol (e.g. MKR) are decoded, a missing decimals()
+ * falls back to raw units, and metadataIssues lists the reads that could not be used.
+ */
+async function fetchTokenMetadata(provider, walletAddress, tokenAddresses) {
+  const tokens = uniqueAddresses(tokenAddresses);
+  const results = await multicall(provider, tokens.flatMap(token => [
+    { target: token, iface: erc20Interface, method: 'name' },
+    { target: token, iface: erc20Interface, method: 'symbol' },
+    { target: token, iface: erc20Interface, method: 'decimals' },
+    { target: token, iface: erc20Interface, method: 'balanceOf', args: [walletAddress] }
+  ]));
+
+  const metadata = new Map();
+  tokens.forEach((token, i) => {
+    const [nameResult, symbolResult, decimalsResult, balanceResult] = results.slice(i * 4, i * 4 + 4);
+    const name = decodeTokenText(nameResult);
+    const symbol = decodeTokenText(symbolResult);
+    const decimals = decimalsResult.success && Number(decimalsResult.value) <= 255 ? Number(decimalsResult.value) : null;
+    const metadataIssues = [
+      name === null && 'name',
+      symbol === null && 'symbol',
+      decimals === null && 'decimals',
+      !balanceResult.success && 'balance'
+    ].filter(Boolean);
+
+    if (metadataIssues.length > 0) {
+      console.warn(`⚠ Incomplete token metadata for ${token}: ${metadataIssues.join(', ')}`);
+    }
+
+    metadata.set(token.toLowerCase(), {
+      name: name || symbol || `Unknown Token (${token.slice(0, 6)}…${token.slice(-4)})`,
+      symbol: symbol || '???',
+      decimals: decimals === null ? 0 : decimals,
+      decimalsUnknown: decimals === null,
+      balance: balanceResult.success ? balanceResult.value : 0n,
+      metadataUnavailable: metadataIssues.length > 0,
+      metadataIssues
+    });
+  });
+  return metadata;
+}
+
+/**
+ * A name()/symbol() result as a string. Older tokens return bytes32 instead of string.
+ */
+function decodeTokenText(result) {
+  if (result.success) {
+    const text = String(result.value).replace(/\0/g, '').trim();
+    return text || null;
+  }
+  if (result.reverted || ethers.dataLength(result.returnData) !== 32) {
+    return null;
+  }
+
+  try {
+    const bytes = ethers.getBytes(result.returnData);
+    const end = bytes.indexOf(0);
+    const text = ethers.toUtf8String(end === -1 ? bytes : bytes.slice(0, end)).trim();
+    return text || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * name/symbol/standard/balance for each NFT collection, keyed by lowercase address.
+ * ERC-1155 has no per-owner balance and many collections skip name/symbol, so nothing is left out.
+ */
+async function fetchCollectionMetadata(provider, walletAddress, collectionAddresses) {
+  const collections = uniqueAddresses(collectionAddresses);
+  const results = await multicall(provider, collections.flatMap(collection => [
+    { target: collection, iface: nftInterface, method: 'name' },
+    { target: collection, iface: nftInterface, method: 'symbol' },
+    { target: collection, iface: nftInterface, method: 'supportsInterface', args: [ERC1155_INTERFACE_ID] },
+    { target: collection, iface: nftInterface, method: 'balanceOf', args: [walletAddress] }
+  ]));
+
+  const metadata = new Map();
+  collections.forEach((collection, i) => {
+    const [name, symbol, isErc1155, balance] = results.slice(i * 4, i * 4 + 4);
+    // Collections without ERC-165 are treated as ERC-721
+    const tokenStandard = isErc1155.success && isErc1155.value === true ? 'ERC-1155' : 'ERC-721';
+    const decodedName = decodeTokenText(name);
+    const decodedSymbol = decodeTokenText(symbol);
+    metadata.set(collection.toLowerCase(), {
+      name: decodedName || 'Unknown Collection',
+      symbol: decodedSymbol || 'NFT',
+      tokenStandard,
+      balance: tokenStandard === 'ERC-721' && balance.success ? balance.value.toString() : null,
+      metadataUnavailable: decodedName === null || decodedSymbol === null
+    });
+  });
+  return metadata;
+}
+
+function uniqueAddresses(addresses) {
+  const seen = new Map();
+  addresses.forEach(address => seen.set(address.toLowerCase(), address));
+  return Array.from(seen.values());
+}
+
+/**
+ * Batch read-only calls through Multicall3 aggregate3 with allowFailure, so one reverting
+ * call never fails the batch. Each call is { target, iface, method, args } and resolves to
+ * { success, value, returnData }. Chains without Multicall3 fall back to individual eth_calls.
+ */
+async function multicall(provider, calls) {
+  if (calls.length === 0) {
+    return [];
+  }
+
+  const callData = calls.map(call => call.iface.encodeFunctionData(call.method, call.args || []));
+
+  if (!(await hasMulticall3(provider))) {
+    return Promise.all(calls.map(async (call, i) => {
+      try {
+        const returnData = await provider.call({ to: call.target, data: callData[i] });
+        return decodeCallResult(call, true, returnData);
+      } catch (e) {
+        return { success: false, reverted: true, value: null, returnData: '0x' };
+      }
+    }));
+  }
+
+  const multicallContract = new ethers.Contract(MULTICALL3_ADDRESS, multicall3Abi, provider);
+  const batches = [];
+  for (let i = 0; i < calls.length; i += MULTICALL_BATCH_SIZE) {
+    batches.push(i);
+  }
+
+  const batchResults = await mapWithConcurrency(batches, MULTICALL_CONCURRENCY, async (start) => {
+    const batch = calls.slice(start, start + MULTICALL_BATCH_SIZE).map((call, j) => ({
+      target: call.target,
+      allowFailure: true,
+      callData: callData[start + j]
+    }));
+    const response = await multicallContract.aggregate3.staticCall(batch);
+    return response.map(([success, returnData], j) => decodeCallResult(calls[start + j], success, returnData));
+  });
+
+  return batchResults.flat();
+}
+
+/**
+ * `reverted` separates a failed call from one that returned data the ABI could not decode
+ */
+function decodeCallResult(call, success, returnData) {
+  if (!success || returnData === '0x') {
+    return { success: false, reverted: true, value: null, returnData };
+  }
+  try {
+    const decoded = call.iface.decodeFunctionResult(call.method, returnData);
+    return { success: true, reverted: false, value: decoded.length === 1 ? decoded[0] : decoded, returnData };
+  } catch (e) {
+    return { success: false, reverted: false, value: null, returnData };
+  }
+}
+
+async function hasMulticall3(provider) {
+  const { chainId } = await provider.getNetwork();
+  if (!multicall3Support.has(chainId)) {
+    const code = await provider.getCode(MULTICALL3_ADDRESS);
+    multicall3Support.set(chainId, code !== '0x');
+  }
+  return multicall3Support.get(chainId);
+}
+
+/**
+ * Fields shared by every approval type in API responses
+ */
+function describeApproval(walletAddress, approval, network, approvalType, spenderDetails, riskScoring, exploits, usage) {
+  return {
+    id: getApprovalId(network, approvalType, approval),
+    approvalType,
+    owner: walletAddress,
+    chainId: network.id,
+    networkName: network.name,
+    tokenAddress: approval.tokenAddress.toString(),
+    tokenUrl: getExplorerUrl(network, 'token', approval.tokenAddress),
+    spender: approval.spender.toString(),
+    spenderUrl: getExplorerUrl(network, 'address', approval.spender),
+    spenderName: spenderDetails.name,
+    spenderDescription: spenderDetails.description,
+    isVerified: spenderDetails.isVerified,
+    riskLevel: spenderDetails.riskLevel,
+    category: spenderDetails.category,
+    risks: spenderDetails.risks,
+    benefits: spenderDetails.benefits,
+    documentation: spenderDetails.documentation,
+    audited: spenderDetails.audited,
+    riskScore: riskScoring.score,
+    riskFactors: riskScoring.factors,
+    exploits: exploits,
+    hasKnownExploit: exploits.length > 0,
+    lastUpdated: approval.transactionHash ? {
+      blockNumber: approval.blockNumber,
+      transactionHash: approval.transactionHash,
+      txUrl: getExplorerUrl(network, 'tx', approval.transactionHash)
+    } : null,
+    spenderCode: spenderDetails.code ? {
+      ...spenderDetails.code,
+      implementationUrl: spenderDetails.code.implementation ? getExplorerUrl(network, 'address', spenderDetails.code.implementation) : null,
+      adminUrl: spenderDetails.code.admin ? getExplorerUrl(network, 'address', spenderDetails.code.admin) : null
+    } : null,
+    spenderCreation: spenderDetails.creation || null,
+    usage: usage || null,
+    recommendation: getUsageRecommendation(usage)
+  };
+}
+
+/**
+ * Match calldata against the approval methods the firewall understands and decode its arguments.
+ * Returns null for any other call, including calldata too short to hold a selector; throws when a
+ * known selector's arguments don't decode.
+ */
+function parseApprovalCall(tx) {
+  if (ethers.dataLength(tx.data) < 4) {
+    return null;
+  }
+
+  const selector = ethers.dataSlice(tx.data, 0, 4);
+  const isPermit2 = tx.to.toLowerCase() === PERMIT2_ADDRESS.toLowerCase();
+  const match = [
+    isPermit2 && { iface: permit2Interface, method: 'approve' },
+    { iface: nftInterface, method: 'setApprovalForAll' },
+    { iface: erc20Interface, method: 'increaseAllowance' },
+    { iface: erc20Interface, method: 'approve' }
+  ].find(candidate => candidate && candidate.iface.getFunction(candidate.method).selector === selector);
+
+  return match ? { ...match, args: match.iface.decodeFunctionData(match.method, tx.data) } : null;
+}
+
+/**
+ * Describe the approval a parsed call would make, or null when it is not an approval call.
+ * approve(address,uint256) is shared by ERC-20 and ERC-721, so the target is asked which it is.
+ */
+async function decodeApprovalCall(provider, tx, parsed) {
+  if (!parsed) {
+    return null;
+  }
+
+  if (parsed.iface === permit2Interface) {
+    const [token, spender, amount, expiration] = parsed.args;
+    return { approvalType: 'permit2', method: 'approve', tokenAddress: token, spender, amount, expiration: Number(expiration), revokes: amount === 0n };
+  }
+  if (parsed.method === 'setApprovalForAll') {
+    const [operator, approved] = parsed.args;
+    return { approvalType: 'nft-operator', method: 'setApprovalForAll', tokenAddress: tx.to, spender: operator, approved, revokes: !approved };
+  }
+  if (parsed.method === 'increaseAllowance') {
+    const [spender, addedValue] = parsed.args;
+    const [current] = await multicall(provider, [{ target: tx.to, iface: erc20Interface, method: 'allowance', args: [tx.from, spender] }]);
+    const currentAllowance = current.success ? current.value : 0n;
+    const amount = currentAllowance + addedValue > ethers.MaxUint256 ? ethers.MaxUint256 : currentAllowance + addedValue;
+    return { approvalType: 'erc20', method: 'increaseAllowance', tokenAddress: tx.to, spender, amount, addedValue, revokes: false };
+  }
+
+  const [spender, value] = parsed.args;
+  const [isErc721] = await multicall(provider, [{ target: tx.to, iface: nftInterface, method: 'supportsInterface', args: [ERC721_INTERFACE_ID] }]);
+  if (isErc721.success && isErc721.value === true) {
+    return { approvalType: 'nft-token', method: 'approve', tokenAddress: tx.to, spender, tokenId: value.toString(), revokes: spender === ethers.ZeroAddress };
+  }
+  return { approvalType: 'erc20', method: 'approve', tokenAddress: tx.to, spender, amount: value, revokes: value === 0n };
+}
+
+/**
+ * Score the approval a transaction would create and turn the findings into a verdict.
+ * Revocations are always allowed; anything with a block reason is blocked.
+ */
+async function analyzeApprovalTx(network, tx, parsed) {
+  const provider = getProvider(network);
+  const call = await decodeApprovalCall(provider, tx, parsed);
+
+  if (!call) {
+    return { isApproval: false, verdict: 'allow', reasons: [{ severity: 'info', message: 'Not an approval call' }] };
+  }
+
+  const approval = {
+    approvalType: call.approvalType,
+    method: call.method,
+    tokenAddress: call.tokenAddress,
+    spender: call.spender,
+    tokenId: call.tokenId,
+    amount: call.amount !== undefined ? call.amount.toString() : undefined,
+    expiration: call.expiration
+  };
+  if (call.revokes) {
+    return { isApproval: true, verdict: 'allow', approval, reasons: [{ severity: 'info', message: 'This transaction removes an approval' }] };
+  }
+
+  const isToken = call.approvalType === 'erc20' || call.approvalType === 'permit2';
+  const [spenderDetails, tokenMetadata, tokenPrices] = await Promise.all([
+    getSpenderProfile(provider, network, call.spender),
+    isToken ? fetchTokenMetadata(provider, tx.from, [call.tokenAddress]) : null,
+    isToken ? fetchTokenPrices(provider, network, [call.tokenAddress]) : null
+  ]);
+  const exploits = checkForExploits(call.spender);
+  const token = isToken ? tokenMetadata.get(call.tokenAddress.toLowerCase()) : null;
+  const riskScoring = calculateRiskScore(
+    spenderDetails,
+    isToken ? call.amount.toString() : null,
+    isToken ? token.balance.toString() : null,
+    exploits,
+    // The approval would be granted now, so a contract deployed hours ago counts as fresh
+    { approvalType: call.approvalType, grantedAt: Math.floor(Date.now() / 1000) }
+  );
+
+  if (isToken) {
+    approval.tokenSymbol = token.symbol;
+    approval.amountDisplay = ethers.formatUnits(call.amount, token.decimals);
+    approval.isUnlimited = call.amount === (call.approvalType === 'permit2' ? MAX_UINT160 : ethers.MaxUint256);
+  }
+
+  const reasons = getFirewallReasons(call, approval, spenderDetails, exploits, riskScoring);
+  const verdict = reasons.some(reason => reason.severity === 'block') ? 'block'
+    : reasons.some(reason => reason.severity === 'warn') ? 'warn' : 'allow';
+
+  return {
+    isApproval: true,
+    verdict,
+    reasons,
+    approval,
+    riskScore: riskScoring.score,
+    riskFactors: riskScoring.factors,
+    spender: {
+      address: call.spender,
+      url: getExplorerUrl(network, 'address', call.spender),
+      name: spenderDetails.name,
+      category: spenderDetails.category,
+      isVerified: spenderDetails.isVerified,
+      audited: spenderDetails.audited,
+      code: spenderDetails.code,
+      creation: spenderDetails.creation
+    },
+    exploits,
+    valueAtRisk: isToken ? describeValueAtRisk(call.amount, token, tokenPrices.get(call.tokenAddress.toLowerCase())) : null
+  };
+}
+
+function getFirewallReasons(call, approval, spenderDetails, exploits, riskScoring) {
+  const { warnScore, blockScore } = riskPolicy.firewall;
+  const reasons = [];
+  const add = (severity, message) => reasons.push({ severity, message });
+  const grantsEverything = approval.isUnlimited || call.approvalType === 'nft-operator';
+  const code = spenderDetails.code;
+  const creation = spenderDetails.creation;
+
+  if (exploits.length > 0) {
+    add('block', `Spender is linked to known exploit(s): ${exploits.map(exploit => exploit.name).join(', ')}`);
+  }
+  if (creation && creation.deployerExploits.length > 0) {
+    add('block', `Spender was deployed by the deployer of: ${creation.deployerExploits.map(exploit => exploit.name).join(', ')}`);
+  }
+  if (code && code.kind === 'eoa') {
+    add(grantsEverything ? 'block' : 'warn', 'Spender is a wallet, not a contract: whoever holds its key could take these tokens');
+  }
+  if (creation && creation.timestamp && (Date.now() / 1000 - creation.timestamp) / 3600 < riskPolicy.factors.contractAge.freshHours) {
+    add('warn', `Spender contract was deployed ${new Date(creation.timestamp * 1000).toISOString()}, less than ${riskPolicy.factors.contractAge.freshHours} hours ago`);
+  }
+  if (code && code.isProxy && code.adminIsEoa) {
+    add('warn', 'Spender is an upgradeable proxy controlled by a single wallet');
+  }
+  if (!spenderDetails.isVerified) {
+    add('warn', 'Spender contract source is not verified');
+  }
+  if (grantsEverything) {
+    add('warn', call.approvalType === 'nft-operator' ? 'Grants access to every NFT in the collection' : 'Grants an unlimited allowance');
+  }
+  if (riskScoring.score >= blockScore) {
+    add('block', `Risk score ${riskScoring.score}/100 is at or above the block threshold (${blockScore})`);
+  } else if (riskScoring.score >= warnScore) {
+    add('warn', `Risk score ${riskScoring.score}/100 is at or above the warning threshold (${warnScore})`);
+  }
+
+  return reasons;
+}
+
+/**
+ * Check an eth_signTypedData_v4 payload is well-formed EIP-712 by hashing it
+ */
+function parseTypedData(typedData) {
+  const typed = typeof typedData === 'string' ? JSON.parse(typedData) : typedData;
+  if (!typed || typeof typed !== 'object' || !typed.types || !typed.domain || !typed.primaryType || !typed.message) {
+    throw new Error('expected an object with types, domain, primaryType and message');
+  }
+
+  const { EIP712Domain, ...types } = typed.types;
+  if (!types[typed.primaryType]) {
+    throw new Error(`primaryType ${typed.primaryType} is not defined in types`);
+  }
+  const hash = ethers.TypedDataEncoder.hash(typed.domain, types, typed.message);
+  return { ...typed, types, hash };
+}
+
+/**
+ * Error message when a recognised signature lacks a message field identifySignature reads, or null.
+ * The types come from the site asking for the signature, so a payload can hash correctly with
+ * any of them left out or declared as some other type.
+ */
+function getSignatureFieldError(typed) {
+  const { primaryType, domain, message } = typed;
+  const fields = typed.types[primaryType].map(field => field.name);
+  const isUint = (value) => (typeof value === 'bigint' && value >= 0n) || (Number.isSafeInteger(value) && value >= 0) ||
+    (typeof value === 'string' && /^(0x[0-9a-fA-F]+|\d+)$/.test(value));
+  const isAddress = (value) => typeof value === 'string' && ethers.isAddress(value);
+  const isPresent = (value) => value !== undefined && value !== null;
+
+  const checkObject = (object, spec, path) => {
+    if (!object || typeof object !== 'object' || Array.isArray(object)) {
+      return `${path} must be an object`;
+    }
+    const invalid = Object.keys(spec).find(field => !spec[field](object[field]));
+    return invalid ? `${path}.${invalid} is missing or invalid` : null;
+  };
+  const checkList = (items, spec, path) => {
+    if (!Array.isArray(items)) {
+      return `${path} must be an array`;
+    }
+    return items.reduce((error, item, i) => error || checkObject(item, spec, `${path}[${i}]`), null);
+  };
+
+  if (primaryType === 'Permit' && fields.includes('value')) {
+    return checkObject(message, { spender: isAddress, value: isUint, deadline: isUint }, 'message');
+  }
+  if (primaryType === 'Permit' && fields.includes('allowed')) {
+    return checkObject(message, { spender: isAddress, allowed: isPresent, expiry: isUint }, 'message');
+  }
+  if (primaryType === 'PermitSingle' || primaryType === 'PermitBatch') {
+    const detailSpec = { token: isAddress, amount: isUint, expiration: isUint };
+    return checkObject(message, { spender: isAddress, sigDeadline: isUint }, 'message') ||
+      (primaryType === 'PermitSingle'
+        ? checkObject(message.details, detailSpec, 'message.details')
+        : checkList(message.details, detailSpec, 'message.details'));
+  }
+  if (primaryType.startsWith('PermitTransferFrom') || primaryType.startsWith('PermitWitnessTransferFrom') ||
+      primaryType.startsWith('PermitBatchTransferFrom') || primaryType.startsWith('PermitBatchWitnessTransferFrom')) {
+    const permittedSpec = { token: isAddress, amount: isUint };
+    return checkObject(message, { spender: isAddress, deadline: isUint }, 'message') ||
+      (Array.isArray(message.permitted)
+        ? checkList(message.permitted, permittedSpec, 'message.permitted')
+        : checkObject(message.permitted, permittedSpec, 'message.permitted'));
+  }
+  if (primaryType === 'OrderComponents' || primaryType === 'BulkOrder') {
+    if (!isAddress(domain.verifyingContract)) {
+      return 'domain.verifyingContract must name the Seaport contract';
+    }
+    const itemSpec = { itemType: isUint, token: isAddress, identifierOrCriteria: isUint, startAmount: isUint, endAmount: isUint };
+    const checkOrder = (order, path) => checkObject(order, { offerer: isAddress, endTime: isUint }, path) ||
+      checkList(order.offer, itemSpec, `${path}.offer`) ||
+      checkList(order.consideration, { ...itemSpec, recipient: isAddress }, `${path}.consideration`);
+    if (primaryType === 'OrderComponents') {
+      return checkOrder(message, 'message');
+    }
+    if (!Array.isArray(message.tree)) {
+      return 'message.tree must be an array';
+    }
+    const flatten = (node) => Array.isArray(node) ? node.flatMap(flatten) : [node];
+    const orders = flatten(message.tree);
+    if (orders.length === 0) {
+      return 'message.tree has no orders';
+    }
+    return orders.reduce((error, order, i) => error || checkOrder(order, `message.tree order ${i}`), null);
+  }
+
+  return null;
+}
+
+/**
+ * What a typed-data signature grants: the spender, assets and how long it stays valid.
+ * `kind` is null for signatures that are not a known approval format.
+ */
+function identifySignature(typed) {
+  const { primaryType, domain, message } = typed;
+  const verifyingContract = domain.verifyingContract ? ethers.getAddress(domain.verifyingContract) : null;
+  const isPermit2 = verifyingContract === PERMIT2_ADDRESS;
+  const fields = typed.types[primaryType].map(field => field.name);
+
+  // EIP-2612: Permit(owner, spender, value, nonce, deadline) signed for the token itself
+  if (primaryType === 'Permit' && fields.includes('value')) {
+    return {
+      kind: 'erc2612-permit',
+      spender: message.spender,
+      assets: [{ itemType: 'ERC20', token: verifyingContract, amount: BigInt(message.value) }],
+      deadline: BigInt(message.deadline)
+    };
+  }
+  // DAI-style: Permit(holder, spender, nonce, expiry, allowed) grants all or nothing
+  if (primaryType === 'Permit' && fields.includes('allowed')) {
+    return {
+      kind: 'dai-permit',
+      spender: message.spender,
+      assets: [{ itemType: 'ERC20', token: verifyingContract, amount: message.allowed ? ethers.MaxUint256 : 0n }],
+      deadline: BigInt(message.expiry)
+    };
+  }
+  if (primaryType === 'PermitSingle' || primaryType === 'PermitBatch') {
+    const details = primaryType === 'PermitSingle' ? [message.details] : message.details;
+    return {
+      kind: primaryType === 'PermitSingle' ? 'permit2-single' : 'permit2-batch',
+      spender: message.spender,
+      assets: details.map(detail => ({ itemType: 'ERC20', token: detail.token, amount: BigInt(detail.amount), expiration: Number(detail.expiration), permit2: true })),
+      deadline: BigInt(message.sigDeadline),
+      requiresPermit2: !isPermit2
+    };
+  }
+  // SignatureTransfer: a one-time transfer, including witness variants (e.g. UniswapX orders)
+  if (primaryType.startsWith('PermitTransferFrom') || primaryType.startsWith('PermitWitnessTransferFrom') ||
+      primaryType.startsWith('PermitBatchTransferFrom') || primaryType.startsWith('PermitBatchWitnessTransferFrom')) {
+    const permitted = Array.isArray(message.permitted) ? message.permitted : [message.permitted];
+    return {
+      kind: 'permit2-transfer',
+      spender: message.spender,
+      assets: permitted.map(item => ({ itemType: 'ERC20', token: item.token, amount: BigInt(item.amount), permit2: true })),
+      deadline: BigInt(message.deadline),
+      requiresPermit2: !isPermit2
+    };
+  }
+  if (primaryType === 'OrderComponents' || primaryType === 'BulkOrder') {
+    // A bulk order signs a tree of orders; every leaf can be fulfilled
+    const flatten = (node) => Array.isArray(node) ? node.flatMap(flatten) : [node];
+    const orders = primaryType === 'BulkOrder' ? flatten(message.tree) : [message];
+    const toItem = (item) => ({
+      itemType: SEAPORT_ITEM_TYPES[Number(item.itemType)] || `type ${item.itemType}`,
+      token: item.token,
+      tokenId: Number(item.itemType) >= 2 ? BigInt(item.identifierOrCriteria).toString() : undefined,
+      amount: BigInt(item.startAmount) > BigInt(item.endAmount) ? BigInt(item.startAmount) : BigInt(item.endAmount)
+    });
+    const offerer = orders[0].offerer;
+    const consideration = orders.flatMap(order => order.consideration);
+
+    return {
+      kind: 'seaport-order',
+      spender: verifyingContract,
+      offerer,
+      assets: orders.flatMap(order => order.offer.map(toItem)),
+      // What the offerer gets back; anything else goes to marketplace fees, royalties or a third party
+      proceeds: consideration.filter(item => item.recipient.toLowerCase() === offerer.toLowerCase()).map(toItem),
+      otherRecipients: [...new Set(consideration.filter(item => item.recipient.toLowerCase() !== offerer.toLowerCase()).map(item => ethers.getAddress(item.recipient)))],
+      deadline: orders.reduce((latest, order) => BigInt(order.endTime) > latest ? BigInt(order.endTime) : latest, 0n),
+      orderCount: orders.length
+    };
+  }
+
+  return { kind: null, spender: null, assets: [], deadline: null };
+}
+
+/**
+ * Score a typed-data signature like the approval it amounts to and explain it in one sentence
+ */
+async function analyzeSignature(network, typed, from) {
+  const provider = getProvider(network);
+  const signature = identifySignature(typed);
+  const base = { primaryType: typed.primaryType, kind: signature.kind, hash: typed.hash, domain: typed.domain };
+
+  if (!signature.kind) {
+    return {
+      ...base,
+      verdict: 'warn',
+      warning: `Unrecognised ${typed.primaryType} signature. Only sign it if you trust the site asking for it.`,
+      reasons: [{ severity: 'warn', message: 'This is not a known approval signature, so it could not be checked' }]
+    };
+  }
+
+  // A permit whose domain has no verifyingContract doesn't say which token it is for: score it as an unknown token
+  const tokenAddresses = signature.assets.filter(asset => asset.itemType === 'ERC20' && asset.token).map(asset => asset.token);
+  const owner = from || signature.offerer || typed.message.owner || typed.message.holder || ethers.ZeroAddress;
+  const [spenderDetails, tokenMetadata, tokenPrices] = await Promise.all([
+    getSpenderProfile(provider, network, signature.spender),
+    fetchTokenMetadata(provider, owner, tokenAddresses),
+    fetchTokenPrices(provider, network, tokenAddresses)
+  ]);
+  const exploits = checkForExploits(signature.spender);
+
+  const assets = signature.assets.map(asset => {
+    const token = asset.itemType === 'ERC20' && asset.token ? tokenMetadata.get(asset.token.toLowerCase()) : null;
+    const unlimitedAmount = asset.permit2 ? MAX_UINT160 : ethers.MaxUint256;
+    return {
+      ...asset,
+      amount: asset.amount.toString(),
+      symbol: token ? token.symbol : null,
+      amountDisplay: token ? ethers.formatUnits(asset.amount, token.decimals) : asset.amount.toString(),
+      isUnlimited: asset.itemType === 'ERC20' && asset.amount >= unlimitedAmount,
+      valueAtRisk: token ? describeValueAtRisk(asset.amount, token, tokenPrices.get(asset.token.toLowerCase())) : null
+    };
+  });
+
+  // Score against the riskiest asset: the largest ERC-20 grant, or the NFTs being offered
+  const erc20Asset = signature.assets.find(asset => asset.itemType === 'ERC20');
+  const erc20Token = erc20Asset && erc20Asset.token ? tokenMetadata.get(erc20Asset.token.toLowerCase()) : null;
+  const approvalType = erc20Asset ? (erc20Asset.permit2 ? 'permit2' : 'erc20') : 'nft-token';
+  const riskScoring = calculateRiskScore(
+    spenderDetails,
+    erc20Asset ? erc20Asset.amount.toString() : null,
+    erc20Token ? erc20Token.balance.toString() : null,
+    exploits,
+    { approvalType, grantedAt: Math.floor(Date.now() / 1000) }
+  );
+
+  const call = { approvalType };
+  const approvalSummary = { isUnlimited: assets.some(asset => asset.isUnlimited) };
+  const reasons = [
+    ...getSignatureReasons(network, typed, signature, assets),
+    ...getFirewallReasons(call, approvalSummary, spenderDetails, exploits, riskScoring)
+  ];
+  const verdict = reasons.some(reason => reason.severity === 'block') ? 'block'
+    : reasons.some(reason => reason.severity === 'warn') ? 'warn' : 'allow';
+  const expiresAt = signature.deadline !== null && signature.deadline < BigInt(Number.MAX_SAFE_INTEGER)
+    ? new Date(Number(signature.deadline) * 1000).toISOString()
+    : null;
+
+  return {
+    ...base,
+    verdict,
+    warning: describeSignature(signature, assets, spenderDetails, expiresAt),
+    reasons,
+    spender: {
+      address: signature.spender,
+      url: getExplorerUrl(network, 'address', signature.spender),
+      name: spenderDetails.name,
+      category: spenderDetails.category,
+      isVerified: spenderDetails.isVerified,
+      audited: spenderDetails.audited,
+      code: spenderDetails.code,
+      creation: spenderDetails.creation
+    },
+    assets,
+    proceeds: signature.proceeds ? signature.proceeds.map(item => ({ ...item, amount: item.amount.toString() })) : undefined,
+    otherRecipients: signature.otherRecipients,
+    deadline: signature.deadline !== null ? signature.deadline.toString() : null,
+    expiresAt,
+    riskScore: riskScoring.score,
+    riskFactors: riskScoring.factors,
+    exploits
+  };
+}
+
+function getSignatureReasons(network, typed, signature, assets) {
+  const reasons = [];
+  const add = (severity, message) => reasons.push({ severity, message });
+  const maxSeconds = riskPolicy.firewall.maxSignatureDays * 86400;
+  const now = BigInt(Math.floor(Date.now() / 1000));
+
+  if (typed.domain.chainId !== undefined && Number(typed.domain.chainId) !== network.id) {
+    add('block', `Signature is for chain ${typed.domain.chainId}, not ${network.name}`);
+  }
+  if (signature.requiresPermit2) {
+    add('block', `${typed.primaryType} is a Permit2 message but is addressed to ${typed.domain.verifyingContract}, not the Permit2 contract`);
+  }
+  if (signature.deadline !== null && signature.deadline - now > BigInt(maxSeconds)) {
+    add('warn', `Signature stays valid for more than ${riskPolicy.firewall.maxSignatureDays} days`);
+  }
+  assets.filter(asset => asset.expiration && asset.expiration - Number(now) > maxSeconds)
+    .forEach(asset => add('warn', `Permit2 allowance for ${asset.symbol || asset.token || 'an unknown token'} lasts more than ${riskPolicy.firewall.maxSignatureDays} days`));
+  if (signature.assets.some(asset => asset.itemType === 'ERC20' && !asset.token)) {
+    add('warn', `${typed.primaryType} does not name its token contract (no domain.verifyingContract), so the token could not be checked`);
+  }
+  if (signature.kind === 'seaport-order') {
+    if (signature.proceeds.length === 0 || signature.proceeds.every(item => item.amount === 0n)) {
+      add('block', 'This order gives your assets away: you receive nothing in return');
+    }
+    if (signature.orderCount > 1) {
+      add('warn', `Bulk signature covering ${signature.orderCount} orders`);
+    }
+  }
+  if (signature.kind === 'erc2612-permit' || signature.kind === 'dai-permit' || signature.kind.startsWith('permit2')) {
+    add('warn', 'Gasless signature: it never appears as an on-chain approval until the spender uses it');
+  }
+
+  return reasons;
+}
+
+function describeSignature(signature, assets, spenderDetails, expiresAt) {
+  const spenderName = spenderDetails.name && spenderDetails.name !== 'Unknown Contract'
+    ? `${spenderDetails.name} (${signature.spender})`
+    : signature.spender;
+  const assetList = assets.map(asset => {
+    if (asset.itemType !== 'ERC20') {
+      return asset.tokenId !== undefined ? `${asset.itemType} #${asset.tokenId} of ${asset.token}` : `${asset.amountDisplay} ${asset.itemType}`;
+    }
+    return `${asset.isUnlimited ? 'unlimited' : asset.amountDisplay} ${asset.symbol || asset.token || 'of an unknown token'}`;
+  }).join(', ');
+  const until = expiresAt ? ` until ${expiresAt}` : ' with no expiry';
+
+  if (signature.kind === 'seaport-order') {
+    return `Signing this lists ${assetList} for sale on ${spenderName}${until}. Anyone can fill the order on these terms.`;
+  }
+  if (signature.kind === 'permit2-transfer') {
+    return `Signing this lets ${spenderName} transfer ${assetList} out of your wallet once${until}.`;
+  }
+  return `Signing this lets ${spenderName} spend ${assetList} from your wallet${until}, without any on-chain approval transaction.`;
+}
+
+/**
+ * A token id as a non-negative integer, given as a decimal string or a safe integer
+ */
+function isTokenId(tokenId) {
+  return (typeof tokenId === 'string' && /^\d+$/.test(tokenId) && BigInt(tokenId) <= ethers.MaxUint256) ||
+    (Number.isSafeInteger(tokenId) && tokenId >= 0);
+}
+
+/**
+ * Error message for a malformed approvals list in a request body, or null
+ */
+function validateApprovalRefs(approvals) {
+  if (!Array.isArray(approvals) || approvals.length === 0 || approvals.length > MAX_APPROVALS_PER_REQUEST) {
+    return `approvals must be a list of 1 to ${MAX_APPROVALS_PER_REQUEST} approvals`;
+  }
+  const invalid = approvals.find(approval => !approval || !APPROVAL_TYPES.includes(approval.approvalType) ||
+    !ethers.isAddress(approval.tokenAddress) || !ethers.isAddress(approval.spender) ||
+    (approval.approvalType === 'nft-token' && !isTokenId(approval.tokenId)));
+  if (invalid) {
+    return 'Each approval needs a valid approvalType, tokenAddress and spender (and a non-negative integer tokenId for nft-token)';
+  }
+  return null;
+}
+
+/**
+ * Calls that revoke the given approvals: one per token approval, plus a single Permit2
+ * lockdown for all Permit2 ones
+ */
+function getRevokeCalls(approvals) {
+  const calls = approvals
+    .filter(approval => approval.approvalType !== 'permit2')
+    .map(approval => {
+      if (approval.approvalType === 'nft-operator') {
+        return { approvals: [approval], method: 'setApprovalForAll', to: approval.tokenAddress, data: nftInterface.encodeFunctionData('setApprovalForAll', [approval.spender, false]) };
+      }
+      if (approval.approvalType === 'nft-token') {
+        return { approvals: [approval], method: 'approve', to: approval.tokenAddress, data: nftInterface.encodeFunctionData('approve', [ethers.ZeroAddress, approval.tokenId]) };
+      }
+      return { approvals: [approval], method: 'approve', to: approval.tokenAddress, data: erc20Interface.encodeFunctionData('approve', [approval.spender, 0]) };
+    });
+
+  const permit2Approvals = approvals.filter(approval => approval.approvalType === 'permit2');
+  if (permit2Approvals.length > 0) {
+    calls.push({
+      approvals: permit2Approvals,
+      method: 'lockdown',
+      to: PERMIT2_ADDRESS,
+      data: permit2Interface.encodeFunctionData('lockdown', [permit2Approvals.map(approval => [approval.tokenAddress, approval.spender])])
+    });
+  }
+  return calls;
+}
+
+/**
+ * Unsigned revoke transactions with gas estimate, fee and eth_call dry-run for each
+ */
+function buildRevokeTransactions(walletAddress, network, approvals) {
+  return buildUnsignedTransactions(walletAddress, network, getRevokeCalls(approvals));
+}
+
+/**
+ * Calls that change one ERC-20 or Permit2 allowance to `amount`, checked against the allowance
+ * on-chain. Tokens like USDT revert when one non-zero allowance is changed to another, so when
+ * approve(spender, amount) from the owner reverts on a non-zero allowance it is reset to 0 first;
+ * that second call can only be simulated once the reset is mined (`afterPrevious`).
+ * Permit2 keeps the allowance's current expiration.
+ */
+async function getLimitCalls(provider, walletAddress, approval, amount) {
+  if (approval.approvalType === 'permit2') {
+    const [state] = await multicall(provider, [{ target: PERMIT2_ADDRESS, iface: permit2Interface, method: 'allowance', args: [walletAddress, approval.tokenAddress, approval.spender] }]);
+    if (!state.success) {
+      throw new Error('Unable to read the current Permit2 allowance');
+    }
+    return {
+      currentAllowance: state.value.amount,
+      resetRequired: false,
+      calls: [{ approvals: [approval], method: 'approve', amount, to: PERMIT2_ADDRESS, data: permit2Interface.encodeFunctionData('approve', [approval.tokenAddress, approval.spender, amount, state.value.expiration]) }]
+    };
+  }
+
+  const [state] = await multicall(provider, [{ target: approval.tokenAddress, iface: erc20Interface, method: 'allowance', args: [walletAddress, approval.spender] }]);
+  if (!state.success) {
+    throw new Error('Unable to read the current allowance');
+  }
+  const approveCall = (value) => ({ approvals: [approval], method: 'approve', amount: value, to: approval.tokenAddress, data: erc20Interface.encodeFunctionData('approve', [approval.spender, value]) });
+
+  let resetRequired = false;
+  if (state.value > 0n) {
+    try {
+      await provider.call({ from: walletAddress, to: approval.tokenAddress, data: approveCall(amount).data });
+    } catch (error) {
+      if (error.code !== 'CALL_EXCEPTION') {
+        throw error;
+      }
+      resetRequired = true;
+    }
+  }
+
+  return {
+    currentAllowance: state.value,
+    resetRequired,
+    calls: resetRequired ? [approveCall(0n), { ...approveCall(amount), afterPrevious: true }] : [approveCall(amount)]
+  };
+}
+
+/**
+ * Unsigned transactions setting an allowance to a lower limit, in the order they must be sent
+ */
+async function buildLimitTransactions(walletAddress, network, approval, amount) {
+  const { currentAllowance, resetRequired, calls } = await getLimitCalls(getProvider(network), walletAddress, approval, amount);
+  const transactions = await buildUnsignedTransactions(walletAddress, network, calls);
+  return {
+    currentAllowance: currentAllowance.toString(),
+    resetRequired,
+    transactions: transactions.map((tx, i) => ({ ...tx, amount: calls[i].amount.toString() }))
+  };
+}
+
+/**
+ * Gas estimate, fee and eth_call dry-run for each call, as unsigned transactions from the wallet.
+ * A call marked afterPrevious depends on the one before being mined, so it is not simulated
+ * (dryRun.skipped) and has to be built again once that has happened.
+ */
+async function buildUnsignedTransactions(walletAddress, network, calls) {
+  const provider = getProvider(network);
+  const feeData = await provider.getFeeData();
+  const feePerGas = feeData.maxFeePerGas || feeData.gasPrice;
+
+  return mapWithConcurrency(calls, CHAIN_LOOKUP_CONCURRENCY, async (call) => {
+    const tx = { from: walletAddress, to: call.to, data: call.data, value: '0x0' };
+    const [gas, dryRun] = call.afterPrevious ? [{}, { success: null, skipped: true, error: null }] : await Promise.all([
+      provider.estimateGas(tx).then(gasLimit => ({ gasLimit }), error => ({ error: error.shortMessage || error.message })),
+      provider.call(tx).then(() => ({ success: true, error: null }), error => ({ success: false, error: error.shortMessage || error.message }))
+    ]);
+    const feeWei = gas.gasLimit !== undefined && feePerGas ? gas.gasLimit * feePerGas : null;
+
+    return {
+      approvalIds: call.approvals.map(approval => getApprovalId(network, approval.approvalType, approval)),
+      method: call.method,
+      chainId: network.id,
+      ...tx,
+      estimateGas: gas.gasLimit !== undefined ? gas.gasLimit.toString() : null,
+      estimateGasError: gas.error || null,
+      fee: {
+        maxFeePerGas: feeData.maxFeePerGas !== null ? feeData.maxFeePerGas.toString() : null,
+        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas !== null ? feeData.maxPriorityFeePerGas.toString() : null,
+        gasPrice: feeData.gasPrice !== null ? feeData.gasPrice.toString() : null,
+        wei: feeWei !== null ? feeWei.toString() : null,
+        amount: feeWei !== null ? ethers.formatEther(feeWei) : null,
+        currency: network.currency
+      },
+      dryRun
+    };
+  });
+}
+
+/**
+ * Unsigned revoke transactions ready for an offline signer, nonces counted from the pending nonce
+ */
+async function buildOfflineTransactions(walletAddress, network, approvals) {
+  const provider = getProvider(network);
+  const calls = getRevokeCalls(approvals);
+  const [nonce, feeData] = await Promise.all([
+    provider.getTransactionCount(walletAddress, 'pending'),
+    provider.getFeeData()
+  ]);
+  const supportsEip1559 = feeData.maxFeePerGas !== null;
+  let maxPriorityFeePerGas = null;
+  if (supportsEip1559) {
+    maxPriorityFeePerGas = feeData.maxPriorityFeePerGas !== null ? feeData.maxPriorityFeePerGas : OFFLINE_DEFAULT_PRIORITY_FEE;
+    // The tip can never be above the max fee
+    if (maxPriorityFeePerGas > feeData.maxFeePerGas) {
+      maxPriorityFeePerGas = feeData.maxFeePerGas;
+    }
+  }
+
+  return mapWithConcurrency(calls, CHAIN_LOOKUP_CONCURRENCY, async (call, i) => {
+    let estimateGasError = null;
+    let gasLimit;
+    try {
+      const estimate = await provider.estimateGas({ from: walletAddress, to: call.to, data: call.data });
+      gasLimit = estimate + estimate * OFFLINE_GAS_BUFFER_PERCENT / 100n;
+    } catch (error) {
+      estimateGasError = error.shortMessage || error.message;
+      gasLimit = OFFLINE_FALLBACK_GAS_LIMIT;
+    }
+
+    const tx = ethers.Transaction.from({
+      type: supportsEip1559 ? 2 : 0,
+      chainId: network.id,
+      nonce: nonce + i,
+      to: call.to,
+      data: call.data,
+      value: 0,
+      gasLimit,
+      ...(supportsEip1559
+        ? { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas }
+        : { gasPrice: feeData.gasPrice })
+    });
+    const maxFeeWei = gasLimit * (supportsEip1559 ? feeData.maxFeePerGas : feeData.gasPrice);
+
+    let qrCode = null;
+    try {
+      qrCode = await QRCode.toDataURL(tx.unsignedSerialized, { errorCorrectionLevel: 'M', margin: 1 });
+    } catch (error) {
+      // Very large Permit2 lockdowns do not fit in a QR code; the hex is still returned
+      console.warn(`⚠ Unable to render QR code for nonce ${tx.nonce}: ${error.message}`);
+    }
+
+    return {
+      approvalIds: call.approvals.map(approval => getApprovalId(network, approval.approvalType, approval)),
+      method: call.method,
+      type: tx.type,
+      chainId: network.id,
+      nonce: tx.nonce,
+      to: tx.to,
+      data: tx.data,
+      value: '0',
+      gasLimit: gasLimit.toString(),
+      estimateGasError,
+      maxFeePerGas: supportsEip1559 ? feeData.maxFeePerGas.toString() : null,
+      maxPriorityFeePerGas: supportsEip1559 ? maxPriorityFeePerGas.toString() : null,
+      gasPrice: supportsEip1559 ? null : feeData.gasPrice.toString(),
+      maxFee: { wei: maxFeeWei.toString(), amount: ethers.formatEther(maxFeeWei), currency: network.currency },
+      unsignedTransaction: tx.unsignedSerialized,
+      signingHash: tx.unsignedHash,
+      qrCode
+    };
+  });
+}
+
+/**
+ * Send signed transactions one by one in nonce order; a rejected one is reported, not thrown
+ */
+async function broadcastSignedTransactions(network, transactions) {
+  const provider = getProvider(network);
+  const sorted = [...transactions].sort((a, b) => a.nonce - b.nonce);
+  const results = [];
+
+  for (const tx of sorted) {
+    const result = { hash: tx.hash, from: tx.from, nonce: tx.nonce, to: tx.to, txUrl: getExplorerUrl(network, 'tx', tx.hash) };
+    try {
+      await provider.broadcastTransaction(tx.serialized);
+      results.push({ ...result, status: 'submitted', error: null });
+    } catch (error) {
+      results.push({ ...result, status: 'failed', error: error.shortMessage || error.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * confirmed / failed once mined, pending while the node knows the transaction, otherwise unknown.
+ * A hash the RPC errors on gets status `error`, so one bad lookup does not hide the others.
+ */
+async function getTransactionStatuses(network, hashes) {
+  const provider = getProvider(network);
+
+  return mapWithConcurrency(hashes, CHAIN_LOOKUP_CONCURRENCY, async (hash) => {
+    const txUrl = getExplorerUrl(network, 'tx', hash);
+    try {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return {
+          hash,
+          status: receipt.status === 1 ? 'confirmed' : 'failed',
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed.toString(),
+          txUrl,
+          error: null
+        };
+      }
+
+      const tx = await provider.getTransaction(hash);
+      return { hash, status: tx ? 'pending' : 'unknown', blockNumber: null, gasUsed: null, txUrl, error: null };
+    } catch (error) {
+      return { hash, status: 'error', blockNumber: null, gasUsed: null, txUrl, error: error.shortMessage || error.message };
+    }
+  });
+}
+
+/**
+ * Owners, threshold and version when the address is a Safe, otherwise null
+ */
+async function detectSafe(provider, address) {
+  const code = await provider.getCode(address);
+  if (code === '0x') {
+    return null;
+  }
+
+  const [owners, threshold, version, nonce] = await multicall(provider, [
+    { target: address, iface: safeInterface, method: 'getOwners' },
+    { target: address, iface: safeInterface, method: 'getThreshold' },
+    { target: address, iface: safeInterface, method: 'VERSION' },
+    { target: address, iface: safeInterface, method: 'nonce' }
+  ]);
+  if (!owners.success || !threshold.success || owners.value.length === 0) {
+    return null;
+  }
+
+  return {
+    address: ethers.getAddress(address),
+    version: version.success ? version.value : null,
+    owners: Array.from(owners.value),
+    threshold: Number(threshold.value),
+    nonce: nonce.success ? Number(nonce.value) : null
+  };
+}
+
+/**
+ * Safe Transaction Builder import file (format version 1.0) for a list of calls
+ */
+function buildSafeTxBuilderBatch(network, safeAddress, calls) {
+  const batch = {
+    version: '1.0',
+    chainId: String(network.id),
+    createdAt: Date.now(),
+    meta: {
+      name: 'ApprovalGuard revoke batch',
+      description: `Revoke ${calls.reduce((total, call) => total + call.approvals.length, 0)} approval(s) on ${network.name}`,
+      txBuilderVersion: SAFE_TX_BUILDER_VERSION,
+      createdFromSafeAddress: ethers.getAddress(safeAddress),
+      createdFromOwnerAddress: ''
+    },
+    transactions: calls.map(call => ({
+      to: call.to,
+      value: '0',
+      data: call.data,
+      contractMethod: null,
+      contractInputsValues: null
+    }))
+  };
+  batch.meta.checksum = getTxBuilderChecksum(batch);
+  return batch;
+}
+
+/**
+ * Checksum the Transaction Builder verifies on import: keccak256 of the batch serialized with
+ * sorted keys and the name left out
+ */
+function getTxBuilderChecksum(batch) {
+  const serialize = (value) => {
+    if (Array.isArray(value)) {
+      return `[${value.map(serialize).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+      const keys = Object.keys(value).sort();
+      return `{${JSON.stringify(keys)}${keys.map(key => `${serialize(value[key])},`).join('')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  };
+  return ethers.keccak256(ethers.toUtf8Bytes(serialize({ ...batch, meta: { ...batch.meta, name: null } })));
+}
+
+/**
+ * The calls packed for MultiSendCallOnly.multiSend, executed by the Safe as one delegatecall
+ */
+function encodeMultiSend(safe, calls) {
+  const packed = ethers.concat(calls.map(call => ethers.solidityPacked(
+    ['uint8', 'address', 'uint256', 'uint256', 'bytes'],
+    [0, call.to, 0, ethers.dataLength(call.data), call.data]
+  )));
+  const to = safe.version && safe.version.startsWith('1.4')
+    ? MULTISEND_CALL_ONLY_ADDRESSES['1.4.1']
+    : MULTISEND_CALL_ONLY_ADDRESSES['1.3.0'];
+
+  return {
+    to,
+    value: '0',
+    data: multiSendInterface.encodeFunctionData('multiSend', [packed]),
+    operation: 1
+  };
+}
+
+/**
+ * Whether each approval is still live, using the same rules as resolveApprovals.
+ * `active` is null when the state could not be read.
+ */
+async function verifyApprovals(walletAddress, network, approvals) {
+  const provider = getProvider(network);
+  const calls = approvals.map(approval => {
+    if (approval.approvalType === 'erc20') {
+      return [{ target: approval.tokenAddress, iface: erc20Interface, method: 'allowance', args: [walletAddress, approval.spender] }];
+    }
+    if (approval.approvalType === 'nft-operator') {
+      return [{ target: approval.tokenAddress, iface: nftInterface, method: 'isApprovedForAll', args: [walletAddress, approval.spender] }];
+    }
+    if (approval.approvalType === 'nft-token') {
+      return [
+        { target: approval.tokenAddress, iface: nftInterface, method: 'getApproved', args: [approval.tokenId] },
+        { target: approval.tokenAddress, iface: nftInterface, method: 'ownerOf', args: [approval.tokenId] }
+      ];
+    }
+    return [{ target: PERMIT2_ADDRESS, iface: permit2Interface, method: 'allowance', args: [walletAddress, approval.tokenAddress, approval.spender] }];
+  });
+  const results = await multicall(provider, calls.flat());
+  const now = Math.floor(Date.now() / 1000);
+
+  return approvals.map((approval, i) => {
+    const [state, owner] = results.splice(0, calls[i].length);
+    let active = null;
+    let allowance = null;
+
+    if (approval.approvalType === 'erc20' && state.success) {
+      active = state.value > 0n;
+      allowance = state.value.toString();
+    } else if (approval.approvalType === 'nft-operator' && state.success) {
+      active = state.value === true;
+    } else if (approval.approvalType === 'nft-token' && state.success && owner.success) {
+      active = state.value.toLowerCase() === approval.spender.toLowerCase() &&
+        owner.value.toLowerCase() === walletAddress.toLowerCase();
+    } else if (approval.approvalType === 'permit2' && state.success) {
+      active = state.value.amount > 0n && Number(state.value.expiration) >= now;
+      allowance = state.value.amount.toString();
+    }
+
+    return {
+      id: getApprovalId(network, approval.approvalType, approval),
+      approvalType: approval.approvalType,
+      tokenAddress: approval.tokenAddress,
+      spender: approval.spender,
+      tokenId: approval.approvalType === 'nft-token' ? String(approval.tokenId) : undefined,
+      active,
+      allowance
+    };
+  });
+}
+
+/**
+ * Stable id for a grant: chain, type, token and spender (or tokenId for single-NFT approvals)
+ */
+function getApprovalId(network, approvalType, approval) {
+  const idParts = [network.id, approvalType, approval.tokenAddress, approvalType === 'nft-token' ? approval.tokenId : approval.spender];
+  return idParts.join(':').toLowerCase();
+}
+
+/**
+ * Calculate risk score (0 to the policy maxScore) for an approval, weighted by riskPolicy
+ */
+function calculateRiskScore(spenderDetails, allowance, userBalance, exploits = [], context = {}) {
+  const { factors } = riskPolicy;
+  let riskScore = 0;
+  const riskFactors = [];
+  // Each factor carries its policy metadata so clients can render the breakdown as-is
+  const addFactor = (factorId, value, contribution) => {
+    const factor = factors[factorId];
+    if (!factor) {
+      throw new Error(`Risk policy ${riskPolicy.version} has no "${factorId}" factor`);
+    }
+    riskScore += contribution;
+    riskFactors.push({
+      id: factorId,
+      label: factor.label,
+      value,
+      contribution,
+      maxContribution: factor.maxContribution,
+      explanation: factor.explanation,
+      remediation: factor.remediation
+    });
+  };
+  const weightFor = (factor, key) => Object.prototype.hasOwnProperty.call(factor.weights, key) ? factor.weights[key] : factor.default;
+
+  // Factor 1: Audit Status
+  if (spenderDetails.audited) {
+    addFactor('auditStatus', 'Audited', factors.auditStatus.weights.audited);
+  } else if (spenderDetails.isVerified) {
+    addFactor('auditStatus', 'Verified', factors.auditStatus.weights.verified);
+  } else {
+    addFactor('auditStatus', 'Not Audited', factors.auditStatus.weights.unaudited);
+  }
+
+  // Factor 2: Category Risk
+  addFactor('category', spenderDetails.category, weightFor(factors.category, spenderDetails.category));
+
+  // Factor 3: Risk Level
+  addFactor('riskLevel', spenderDetails.riskLevel, weightFor(factors.riskLevel, spenderDetails.riskLevel));
+
+  // Factor 4: Allowance Amount
+  const allowanceWeights = factors.allowance.weights;
+  // Permit2 stores amounts as uint160, so its "unlimited" is a smaller number
+  const unlimitedAmount = context.approvalType === 'permit2' ? MAX_UINT160 : ethers.MaxUint256;
+
+  if (context.approvalType === 'nft-operator') {
+    addFactor('allowance', 'All NFTs in collection', allowanceWeights.nftOperator);
+  } else if (context.approvalType === 'nft-token') {
+    addFactor('allowance', 'Single NFT', allowanceWeights.nftToken);
+  } else if (BigInt(allowance) === unlimitedAmount) {
+    addFactor('allowance', 'Unlimited', allowanceWeights.unlimited);
+  } else if (userBalance === null) {
+    // e.g. a permit that doesn't name its token: the balance can't be compared, so assume the worst short of unlimited
+    addFactor('allowance', 'Unknown token balance', allowanceWeights.high);
+  } else if (BigInt(allowance) > BigInt(userBalance) * BigInt(factors.allowance.veryHighBalanceMultiple)) {
+    addFactor('allowance', `Very High (>${factors.allowance.veryHighBalanceMultiple}x balance)`, allowanceWeights.veryHigh);
+  } else if (BigInt(allowance) > BigInt(userBalance)) {
+    addFactor('allowance', 'High (>balance)', allowanceWeights.high);
+  } else {
+    addFactor('allowance', 'Reasonable', allowanceWeights.reasonable);
+  }
+
+  // Factor 5: Known Exploits
+  if (exploits && exploits.length > 0) {
+    addFactor('knownExploits', exploits.length + ' exploit(s) found', factors.knownExploits.weights.found);
+  } else {
+    addFactor('knownExploits', 'None', factors.knownExploits.weights.none);
+  }
+
+  // Factor 6: Dormancy
+  const usage = context.usage;
+  if (!usage || usage.idleDays === null || usage.unknown) {
+    addFactor('dormancy', 'Unknown', 0);
+  } else if (usage.dormant) {
+    addFactor('dormancy', `${usage.used ? 'Unused' : 'Never used'} for ${usage.idleDays} days`, factors.dormancy.weights.dormant);
+  } else {
+    addFactor('dormancy', usage.used ? `Used ${usage.idleDays} days ago` : 'Recently granted', factors.dormancy.weights.active);
+  }
+
+  // Factor 7: EOA spender
+  const code = spenderDetails.code;
+  if (!code) {
+    addFactor('spenderType', 'Unknown', 0);
+  } else if (code.kind === 'eoa') {
+    addFactor('spenderType', code.delegatedTo ? 'Wallet (EIP-7702 delegated)' : 'Wallet (EOA)', factors.spenderType.weights.eoa);
+  } else {
+    addFactor('spenderType', 'Contract', factors.spenderType.weights.contract);
+  }
+
+  // Factor 8: Upgradeable proxy
+  if (!code || code.kind === 'eoa') {
+    addFactor('upgradeability', code ? 'Not a contract' : 'Unknown', 0);
+  } else if (code.isProxy && code.adminIsEoa) {
+    addFactor('upgradeability', `${code.proxyStandard} proxy, admin is a wallet`, factors.upgradeability.weights.eoaAdmin);
+  } else if (code.isProxy) {
+    addFactor('upgradeability', `${code.proxyStandard} proxy`, factors.upgradeability.weights.upgradeable);
+  } else {
+    addFactor('upgradeability', 'Immutable', factors.upgradeability.weights.immutable);
+  }
+
+  // Factor 9: Contract age, both when it was approved and today
+  const creation = spenderDetails.creation;
+  const ageFactor = factors.contractAge;
+  if (!creation || !creation.timestamp) {
+    addFactor('contractAge', code && code.kind === 'eoa' ? 'Not a contract' : 'Unknown', 0);
+  } else {
+    const ageDays = (Date.now() / 1000 - creation.timestamp) / 86400;
+    const ageAtApprovalHours = context.grantedAt ? (context.grantedAt - creation.timestamp) / 3600 : null;
+    if (ageAtApprovalHours !== null && ageAtApprovalHours < ageFactor.freshHours) {
+      const ageLabel = ageAtApprovalHours < 1 ? 'less than an hour' : `${Math.round(ageAtApprovalHours)} hours`;
+      addFactor('contractAge', `Deployed ${ageLabel} before approval`, ageFactor.weights.fresh);
+    } else if (ageDays < ageFactor.youngDays) {
+      addFactor('contractAge', `${Math.floor(ageDays)} days old`, ageFactor.weights.young);
+    } else {
+      addFactor('contractAge', `${Math.floor(ageDays)} days old`, ageFactor.weights.established);
+    }
+  }
+
+  // Cap the score at the policy maximum
+  riskScore = Math.min(riskScore, riskPolicy.maxScore);
+
+  return {
+    score: riskScore,
+    factors: riskFactors
+  };
+}
+
+/**
+ * Check a risk policy against RISK_POLICY_FACTORS. Returns a list of problems, empty when valid.
+ * Every contract_database.json category must have a weight so none silently falls back.
+ */
+function validateRiskPolicy(policy) {
+  const errors = [];
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+  if (!policy || typeof policy !== 'object') {
+    return ['policy must be a JSON object'];
+  }
+  if (typeof policy.version !== 'string' || policy.version.trim() === '') {
+    errors.push('version must be a non-empty string');
+  }
+  if (!isNumber(policy.maxScore)) {
+    errors.push('maxScore must be a non-negative number');
+  }
+
+  const factors = policy.factors || {};
+  Object.keys(factors)
+    .filter(factorId => !(factorId in RISK_POLICY_FACTORS))
+    .forEach(factorId => errors.push(`factors.${factorId} is not a known factor (expected ${Object.keys(RISK_POLICY_FACTORS).join(', ')})`));
+  for (const [factorId, requiredWeights] of Object.entries(RISK_POLICY_FACTORS)) {
+    const factor = factors[factorId];
+    if (!factor || typeof factor !== 'object') {
+      errors.push(`factors.${factorId} is missing`);
+      continue;
+    }
+    ['label', 'explanation', 'remediation']
+      .filter(key => typeof factor[key] !== 'string' || factor[key].trim() === '')
+      .forEach(key => errors.push(`factors.${factorId}.${key} must be a non-empty string`));
+    if (!isNumber(factor.maxContribution)) {
+      errors.push(`factors.${factorId}.maxContribution must be a non-negative number`);
+    }
+    if (!factor.weights || typeof factor.weights !== 'object') {
+      errors.push(`factors.${factorId}.weights is missing`);
+      continue;
+    }
+    requiredWeights
+      .filter(key => !(key in factor.weights))
+      .forEach(key => errors.push(`factors.${factorId}.weights.${key} is missing`));
+    for (const [key, weight] of Object.entries(factor.weights)) {
+      if (!isNumber(weight) || weight > factor.maxContribution) {
+        errors.push(`factors.${factorId}.weights.${key} must be a number between 0 and maxContribution`);
+      }
+    }
+  }
+
+  ['category', 'riskLevel'].forEach(factorId => {
+    const factor = factors[factorId];
+    if (factor && (!isNumber(factor.default) || factor.default > factor.maxContribution)) {
+      errors.push(`factors.${factorId}.default must be a number between 0 and maxContribution`);
+    }
+  });
+  if (factors.category && factors.category.weights) {
+    const categories = new Set(Object.values(contractDatabase).map(contract => contract.category));
+    categories.forEach(category => {
+      if (!(category in factors.category.weights)) {
+        errors.push(`factors.category.weights has no weight for "${category}" (used in contract_database.json)`);
+      }
+    });
+  }
+  for (const [factorId, settings] of Object.entries(RISK_POLICY_SETTINGS)) {
+    settings
+      .filter(setting => factors[factorId] && !isNumber(factors[factorId][setting]))
+      .forEach(setting => errors.push(`factors.${factorId}.${setting} must be a non-negative number`));
+  }
+  if (factors.allowance && factors.allowance.veryHighBalanceMultiple < 1) {
+    errors.push('factors.allowance.veryHighBalanceMultiple must be at least 1');
+  }
+  // Scores are not normalised, so caps above maxScore would clamp early and skew the breakdown
+  const totalContribution = Object.keys(RISK_POLICY_FACTORS)
+    .reduce((total, factorId) => total + (factors[factorId] && isNumber(factors[factorId].maxContribution) ? factors[factorId].maxContribution : 0), 0);
+  if (isNumber(policy.maxScore) && totalContribution > policy.maxScore) {
+    errors.push(`factor maxContributions add up to ${totalContribution}, more than maxScore ${policy.maxScore}`);
+  }
+
+  const thresholds = policy.thresholds || {};
+  if (!isNumber(thresholds.highRiskScore) || !isNumber(thresholds.mediumRiskScore) || thresholds.mediumRiskScore > thresholds.highRiskScore) {
+    errors.push('thresholds.highRiskScore and thresholds.mediumRiskScore must be numbers with medium <= high');
+  }
+  if (isNumber(policy.maxScore) && thresholds.highRiskScore > policy.maxScore) {
+    errors.push('thresholds.highRiskScore must not exceed maxScore');
+  }
+
+  const firewall = policy.firewall || {};
+  if (!isNumber(firewall.warnScore) || !isNumber(firewall.blockScore) || firewall.warnScore > firewall.blockScore) {
+    errors.push('firewall.warnScore and firewall.blockScore must be numbers with warn <= block');
+  }
+  if (isNumber(policy.maxScore) && firewall.blockScore > policy.maxScore) {
+    errors.push('firewall.blockScore must not exceed maxScore');
+  }
+  if (!isNumber(firewall.maxSignatureDays)) {
+    errors.push('firewall.maxSignatureDays must be a non-negative number');
+  }
+
+  const wallet = policy.wallet || {};
+  WALLET_DEDUCTION_KEYS
+    .filter(key => !wallet.deductions || !isNumber(wallet.deductions[key]))
+    .forEach(key => errors.push(`wallet.deductions.${key} must be a non-negative number`));
+  const grades = wallet.grades;
+  if (!Array.isArray(grades) || grades.length === 0) {
+    errors.push('wallet.grades must be a non-empty list');
+  } else {
+    grades.forEach((entry, i) => {
+      if (!entry || typeof entry.grade !== 'string' || !isNumber(entry.minScore)) {
+        errors.push(`wallet.grades[${i}] must have a grade and a non-negative minScore`);
+      } else if (i > 0 && grades[i - 1] && entry.minScore >= grades[i - 1].minScore) {
+        errors.push('wallet.grades must be ordered by descending minScore');
+      }
+    });
+    if (grades[grades.length - 1] && grades[grades.length - 1].minScore !== 0) {
+      errors.push('the last wallet grade must have minScore 0');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Spender details plus what is on-chain: bytecode inspection and, for contracts, creation and deployer
+ */
+async function getSpenderProfile(provider, network, spender, options = {}) {
+  const [details, code, exploitDeployers] = await Promise.all([
+    getSpenderDetails(spender, network),
+    inspectSpender(provider, spender),
+    getExploitDeployers(provider, network)
+  ]);
+  const creation = code && code.kind === 'contract' ? await getContractCreation(provider, network, spender, options) : null;
+  const deployerExploits = creation && creation.deployer ? exploitDeployers.get(creation.deployer.toLowerCase()) || [] : [];
+  return { ...details, code, creation: creation && { ...creation, deployerExploits } };
+}
+
+/**
+ * What the spender actually is on-chain: an EOA (optionally EIP-7702 delegated), an immutable
+ * contract, or a proxy (EIP-1967, EIP-1967 beacon or EIP-1822/UUPS) with its implementation
+ * and admin. Returns null when the node cannot be queried.
+ */
+async function inspectSpender(provider, spenderAddress) {
+  try {
+    const code = await provider.getCode(spenderAddress);
+
+    if (code === '0x') {
+      return { kind: 'eoa', isProxy: false, delegatedTo: null };
+    }
+    if (code.startsWith(EIP7702_DELEGATION_PREFIX) && code.length === 48) {
+      return { kind: 'eoa', isProxy: false, delegatedTo: ethers.getAddress('0x' + code.slice(8)) };
+    }
+
+    const [implementationSlot, adminSlot, beaconSlot, proxiableSlot] = await Promise.all(
+      [EIP1967_IMPLEMENTATION_SLOT, EIP1967_ADMIN_SLOT, EIP1967_BEACON_SLOT, EIP1822_PROXIABLE_SLOT]
+        .map(slot => provider.getStorage(spenderAddress, slot))
+    );
+    const slotAddress = (value) => {
+      const address = ethers.getAddress(ethers.dataSlice(value, 12));
+      return address === ethers.ZeroAddress ? null : address;
+    };
+
+    let proxyStandard = null;
+    let implementation = slotAddress(implementationSlot);
+    const beacon = slotAddress(beaconSlot);
+    if (implementation) {
+      proxyStandard = 'EIP-1967';
+    } else if (beacon) {
+      proxyStandard = 'EIP-1967 Beacon';
+      implementation = await callAddress(provider, beacon, 'implementation');
+    } else if (slotAddress(proxiableSlot)) {
+      proxyStandard = 'EIP-1822';
+      implementation = slotAddress(proxiableSlot);
+    }
+
+    if (!proxyStandard) {
+      return { kind: 'contract', isProxy: false };
+    }
+
+    // Transparent proxies keep the admin in its slot; beacons and UUPS proxies are usually Ownable
+    let admin = slotAddress(adminSlot);
+    let adminSource = admin ? 'EIP-1967 admin slot' : null;
+    if (!admin) {
+      admin = await callAddress(provider, beacon || spenderAddress, 'owner');
+      adminSource = admin ? `owner() of the ${beacon ? 'beacon' : 'proxy'}` : null;
+    }
+    const adminIsEoa = admin ? (await provider.getCode(admin)) === '0x' : null;
+
+    return {
+      kind: 'contract',
+      isProxy: true,
+      proxyStandard,
+      implementation,
+      beacon,
+      admin,
+      adminSource,
+      adminIsEoa
+    };
+  } catch (error) {
+    console.warn(`⚠ Unable to inspect spender ${spenderAddress}:`, error.shortMessage || error.message);
+    return null;
+  }
+}
+
+/**
+ * Creation block, timestamp, transaction and deployer of a contract. Uses the explorer's
+ * getcontractcreation and falls back to a binary search over getCode history (which needs an
+ * archive node). Returns null when neither works. options.codeSearchBudget ({ remaining }) caps
+ * the fallback across one scan.
+ */
+function getContractCreation(provider, network, contractAddress, options = {}) {
+  const cacheKey = `${network.id}:${contractAddress.toLowerCase()}`;
+  if (!contractCreationCache.has(cacheKey)) {
+    contractCreationCache.set(cacheKey, lookupContractCreation(provider, network, contractAddress, options).then(({ creation, complete }) => {
+      if (!complete) {
+        expireCacheEntry(contractCreationCache, cacheKey);
+      }
+      return creation;
+    }));
+  }
+  return contractCreationCache.get(cacheKey);
+}
+
+function expireCacheEntry(cache, key) {
+  setTimeout(() => cache.delete(key), EXPLORER_RETRY_AFTER_MS).unref();
+}
+
+/**
+ * One uncached creation lookup. `complete` is false when a lookup failed or was cut short along
+ * the way, in which case the result (possibly a getCode fallback without a deployer) is only
+ * kept for EXPLORER_RETRY_AFTER_MS.
+ */
+async function lookupContractCreation(provider, network, contractAddress, options = {}) {
+  let creation = null;
+  let explorerFailed = false;
+  try {
+    const [explorerCreation] = await fetchContractCreations(network, [contractAddress]);
+    if (explorerCreation) {
+      const blockNumber = explorerCreation.blockNumber
+        ? Number(explorerCreation.blockNumber)
+        : (await provider.getTransaction(explorerCreation.txHash)).blockNumber;
+      const timestamp = explorerCreation.timestamp
+        ? Number(explorerCreation.timestamp)
+        : (await provider.getBlock(blockNumber)).timestamp;
+      creation = {
+        blockNumber,
+        timestamp,
+        txHash: explorerCreation.txHash,
+        deployer: ethers.getAddress(explorerCreation.contractCreator),
+        source: 'explorer'
+      };
+    }
+  } catch (error) {
+    console.warn(`⚠ Explorer creation lookup failed for ${contractAddress}:`, error.message);
+    explorerFailed = true;
+  }
+
+  const budget = options.codeSearchBudget;
+  if (!creation && hasArchiveRpc(network) && (!budget || budget.remaining-- > 0)) {
+    creation = await withCodeSearchSlot(() => findCreationByCode(provider, contractAddress));
+  }
+
+  if (creation) {
+    creation.createdAt = creation.timestamp !== null ? new Date(creation.timestamp * 1000).toISOString() : null;
+    creation.txUrl = creation.txHash ? getExplorerUrl(network, 'tx', creation.txHash) : null;
+    creation.deployerUrl = creation.deployer ? getExplorerUrl(network, 'address', creation.deployer) : null;
+  }
+  return { creation, complete: creation !== null && !creation.partial && !explorerFailed };
+}
+
+/**
+ * Explorer getcontractcreation for up to 5 addresses per request
+ */
+async function fetchContractCreations(network, contractAddresses) {
+  const creations = [];
+  for (let i = 0; i < contractAddresses.length; i += 5) {
+    const response = await axios.get('https://api.etherscan.io/v2/api', {
+      params: {
+        chainid: network.id,
+        module: 'contract',
+        action: 'getcontractcreation',
+        contractaddresses: contractAddresses.slice(i, i + 5).join(','),
+        apikey: ETHERSCAN_API_KEY
+      },
+      timeout: EXPLORER_TIMEOUT_MS
+    });
+    if (Array.isArray(response.data.result)) {
+      creations.push(...response.data.result);
+    } else if (!/no data found/i.test(response.data.message)) {
+      // Rate limits and key errors come back as status 0 with the reason in `result`
+      throw new Error(response.data.result || response.data.message || 'Unexpected explorer response');
+    }
+  }
+  return creations;
+}
+
+/**
+ * Run fn once one of the CODE_SEARCH_CONCURRENCY slots is free
+ */
+async function withCodeSearchSlot(fn) {
+  if (activeCodeSearches >= CODE_SEARCH_CONCURRENCY) {
+    // The finishing search hands its slot straight over, so the count stays the same
+    await new Promise(resolve => codeSearchQueue.push(resolve));
+  } else {
+    activeCodeSearches++;
+  }
+  try {
+    return await fn();
+  } finally {
+    const next = codeSearchQueue.shift();
+    if (next) {
+      next();
+    } else {
+      activeCodeSearches--;
+    }
+  }
+}
+
+/**
+ * First block where the address has code, by binary search. The deployer is only known when
+ * the contract was created by a top-level transaction in that block, not by a factory.
+ * Uses at most CODE_SEARCH_MAX_CALLS RPC calls; when they run out after the block is found,
+ * it is returned without the timestamp or deployer still missing (`partial`).
+ */
+async function findCreationByCode(provider, contractAddress) {
+  let calls = 0;
+  const spend = () => {
+    if (++calls > CODE_SEARCH_MAX_CALLS) {
+      throw new Error(`gave up after ${CODE_SEARCH_MAX_CALLS} RPC calls`);
+    }
+  };
+  const hasBudget = () => calls < CODE_SEARCH_MAX_CALLS;
+
+  try {
+    let low = 0;
+    spend();
+    let high = await provider.getBlockNumber();
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      spend();
+      const code = await provider.getCode(contractAddress, mid);
+      if (code === '0x') {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    const creation = { blockNumber: low, timestamp: null, txHash: null, deployer: null, source: 'getCode', partial: true };
+    if (!hasBudget()) {
+      return creation;
+    }
+    spend();
+    const block = await provider.getBlock(low, true);
+    creation.timestamp = block.timestamp;
+    for (const tx of block.prefetchedTransactions.filter(tx => tx.to === null)) {
+      if (!hasBudget()) {
+        return creation;
+      }
+      spend();
+      const receipt = await provider.getTransactionReceipt(tx.hash);
+      if (receipt && receipt.contractAddress && receipt.contractAddress.toLowerCase() === contractAddress.toLowerCase()) {
+        creation.txHash = tx.hash;
+        creation.deployer = tx.from;
+        break;
+      }
+    }
+
+    creation.partial = false;
+    return creation;
+  } catch (error) {
+    // Historical getCode needs an archive node
+    console.warn(`⚠ Unable to find creation block for ${contractAddress}:`, error.shortMessage || error.message);
+    return null;
+  }
+}
+
+/**
+ * Deployers of exploited contracts on this network, mapped to their exploits. Uses the
+ * optional `deployers` list of each exploit_database.json entry plus explorer lookups of
+ * its affected contracts.
+ */
+async function getExploitDeployers(provider, network) {
+  if (!exploitDeployerCache.has(network.id)) {
+    exploitDeployerCache.set(network.id, (async () => {
+      const deployers = new Map();
+      const addDeployer = (deployer, exploit) => {
+        const key = deployer.toLowerCase();
+        if (!deployers.has(key)) {
+          deployers.set(key, []);
+        }
+        if (!deployers.get(key).includes(exploit)) {
+          deployers.get(key).push(exploit);
+        }
+      };
+
+      const exploits = [...new Set(Object.values(exploitDatabase).flat())];
+      exploits.forEach(exploit => (exploit.deployers || []).forEach(deployer => addDeployer(deployer, exploit)));
+
+      try {
+        const creations = await fetchContractCreations(network, Object.keys(exploitDatabase));
+        creations.forEach(creation => {
+          (exploitDatabase[creation.contractAddress.toLowerCase()] || []).forEach(exploit => addDeployer(creation.contractCreator, exploit));
+        });
+      } catch (error) {
+        console.warn(`⚠ Unable to look up exploit deployers on ${network.name}:`, error.message);
+        // Use the configured deployers for now and try the explorer again after a while
+        expireCacheEntry(exploitDeployerCache, network.id);
+      }
+
+      return deployers;
+    })());
+  }
+  return exploitDeployerCache.get(network.id);
+}
+
+async function callAddress(provider, target, method) {
+  try {
+    const result = await provider.call({ to: target, data: proxyInterface.encodeFunctionData(method) });
+    const [address] = proxyInterface.decodeFunctionResult(method, result);
+    return address === ethers.ZeroAddress ? null : address;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check if a spender address is associated with known exploits
+ */
+function checkForExploits(spenderAddress) {
+  const normalizedAddress = spenderAddress.toLowerCase();
+  return exploitDatabase[normalizedAddress] || [];
+}
+
+async function getSpenderDetails(spenderAddress, network) {
+  try {
+    // First, try to get from database
+    const normalizedAddress = spenderAddress.toLowerCase();
+    if (contractDatabase[normalizedAddress]) {
+      const dbContract = contractDatabase[normalizedAddress];
+      return {
+        name: dbContract.name,
+        description: dbContract.description,
+        isVerified: dbContract.verified,
+        riskLevel: dbContract.riskLevel,
+        category: dbContract.category,
+        risks: dbContract.risks,
+        benefits: dbContract.benefits,
+        documentation: dbContract.documentation,
+        audited: dbContract.audited
+      };
+    }
+
+    // If not in database, fall back to Etherscan (the V2 API covers every chain it indexes)
+    const response = await axios.get('https://api.etherscan.io/v2/api', {
+      params: {
+        chainid: network.id,
+        module: 'contract',
+        action: 'getsourcecode',
+        address: spenderAddress,
+        apikey: ETHERSCAN_API_KEY
+      },
+      timeout: EXPLORER_TIMEOUT_MS
+    });
+
+    if (response.data.result && response.data.result[0]) {
+      const contract = response.data.result[0];
+      let name = contract.ContractName || 'Unknown Contract';
+      
+      return {
+        name: name,
+        description: getApprovalDescription(name),
+        isVerified: contract.SourceCode ? true : false,
+        riskLevel: 'unknown',
+        category: 'Other',
+        risks: ['Verify contract details before approving'],
+        benefits: [],
+        documentation: getExplorerUrl(network, 'address', spenderAddress),
+        audited: false
+      };
+    }
+  } catch (e) {
+    console.error('Error fetching spender details:', e.message);
+  }
+
+  return {
+    name: 'Unknown Contract',
+    description: 'This contract can transfer your tokens.',
+    isVerified: false,
+    riskLevel: 'high',
+    category: 'Unknown',
+    risks: ['Could be a scam or malicious contract', 'No audit information available'],
+    benefits: [],
+    documentation: getExplorerUrl(network, 'address', spenderAddress),
+    audited: false
+  };
+}
+
+function getApprovalDescription(contractName) {
+  const descriptions = {
+    'UniswapV3Router': 'Can swap your tokens on Uniswap',
+    'UniswapV2Router': 'Can swap your tokens on Uniswap',
+    'SwapRouter': 'Can swap your tokens',
+    'Seaport': 'Can transfer your NFTs and tokens for trading',
+    'CurveStableSwap': 'Can use your tokens for swaps on Curve',
+    'LidoStETH': 'Can stake your ETH for stETH',
+    'WETH9': 'Can wrap/unwrap your ETH',
+    'MasterChef': 'Can use your tokens in liquidity pools',
+    'AavePool': 'Can use your tokens as collateral',
+    'CompoundComptroller': 'Can use your tokens as collateral',
+    'MakerDAO': 'Can use your tokens as collateral'
+  };
+
+  for (const [key, desc] of Object.entries(descriptions)) {
+    if (contractName.includes(key)) {
+      return desc;
+    }
+  }
+
+  return 'This contract can transfer your tokens.';
+}
+
+// Listen only when run directly, so the tests can load the helpers below
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log('\n╔════════════════════════════════════════╗');
+    console.log('║     ApprovalGuard.io - MVP v3.0.0      ║');
+    console.log('║   Professional Token Approval Manager   ║');
+    console.log('╚════════════════════════════════════════╝\n');
+    console.log(`🚀 Server running at http://localhost:${PORT}\n`  );
+  });
+}
+
+module.exports = {
+  app,
+  parseApprovalCall,
+  identifySignature,
+  getSignatureFieldError,
+  getLimitCalls,
+  buildSafeTxBuilderBatch,
+  getTxBuilderChecksum,
+  encodeMultiSend,
+  calculateRiskScore,
+  validateRiskPolicy
+};
+
+function getHtmlContent() {
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <script src="https://cdn.eu.amplitude.com/script/e1e12fbdc43572ec10859e26f09dcdeb.js"></script><script>window.amplitude.add(window.sessionReplay.plugin({sampleRate: 1}));window.amplitude.init('e1e12fbdc43572ec10859e26f09dcdeb', {"fetchRemoteConfig":true,"serverZone":"EU","autocapture":{"attribution":true,"fileDownloads":true,"formInteractions":true,"pageViews":true,"sessions":true,"elementInteractions":true,"networkTracking":true,"webVitals":true,"frustrationInteractions":true}});</script>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>ApprovalGuard.io</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+
         body {
             font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
             background: linear-gradient(135deg, #5055e8ff 0%, #4ba288ff 100%);
@@ -688,74 +4236,213 @@ function getHtmlContent() {
             color: #1a1a1a;
         }
 
-        .badge {
-            padding: 4px 12px;
-            border-radius: 20px;
-            font-size: 12px;
-            font-weight: 600;
+        .badge {
+            padding: 4px 12px;
+            border-radius: 20px;
+            font-size: 12px;
+            font-weight: 600;
+            color: white;
+        }
+
+        .badge.verified {
+            background: #4caf50;
+        }
+
+        .badge.unverified {
+            background: #ff9800;
+        }
+
+        .badge.low-risk {
+            background: #4caf50;
+        }
+
+        .badge.medium-risk {
+            background: #ff9800;
+        }
+
+        .badge.high-risk {
+            background: #d32f2f;
+        }
+
+        .approval-description {
+            background: white;
+            padding: 12px;
+            border-radius: 6px;
+            margin-bottom: 12px;
+            font-size: 14px;
+            color: #333;
+            border-left: 4px solid #667eea;
+        }
+
+        .card-details {
+            background: white;
+            padding: 12px;
+            border-radius: 6px;
+            margin-bottom: 12px;
+            font-size: 13px;
+        }
+
+        .detail-row {
+            display: flex;
+            justify-content: space-between;
+            padding: 8px 0;
+            border-bottom: 1px solid #f0f0f0;
+        }
+
+        .detail-row:last-child {
+            border-bottom: none;
+        }
+
+        .detail-label {
+            color: #666;
+            font-weight: 500;
+        }
+
+        .detail-value {
+            color: #1a1a1a;
+            word-break: break-all;
+            text-align: right;
+            flex: 1;
+            margin-left: 10px;
+        }
+
+        .detail-value a {
+            color: #5055e8;
+            text-decoration: none;
+        }
+
+        .detail-value a:hover {
+            text-decoration: underline;
+        }
+
+        .network-group-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: baseline;
+            margin: 24px 0 12px 0;
+            padding-bottom: 6px;
+            border-bottom: 2px solid #e0e0e0;
+        }
+
+        .network-group-header h3 {
+            font-size: 16px;
+            color: #1a1a1a;
+        }
+
+        .network-group-header span {
+            font-size: 13px;
+            color: #666;
+        }
+
+        .network-failures {
+            background: #f8d7da;
+            border: 1px solid #f5c6cb;
+            border-radius: 8px;
+            padding: 12px 16px;
+            margin-top: 20px;
+            font-size: 13px;
+            color: #721c24;
+        }
+
+        .network-failures ul {
+            margin: 8px 0 0 0;
+            padding-left: 20px;
+        }
+
+        .network-select {
+            padding: 12px 16px;
+            border: 2px solid #e0e0e0;
+            border-radius: 8px;
+            font-size: 15px;
+            background: white;
+            color: #1a1a1a;
+            cursor: pointer;
+        }
+
+        .wallet-summary {
+            display: flex;
+            gap: 20px;
+            align-items: flex-start;
+            background: #f9f9f9;
+            border: 1px solid #e0e0e0;
+            border-radius: 12px;
+            padding: 20px;
+            margin-bottom: 20px;
+        }
+
+        .wallet-grade {
+            flex-shrink: 0;
+            width: 72px;
+            height: 72px;
+            border-radius: 50%;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-size: 36px;
+            font-weight: bold;
             color: white;
         }
 
-        .badge.verified {
-            background: #4caf50;
+        .wallet-summary-stats {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px 20px;
+            font-size: 14px;
+            color: #555;
+            margin-bottom: 12px;
         }
 
-        .badge.unverified {
-            background: #ff9800;
+        .wallet-summary-stats strong {
+            color: #1a1a1a;
         }
 
-        .badge.low-risk {
-            background: #4caf50;
+        .wallet-summary h4 {
+            margin: 0 0 8px 0;
+            font-size: 14px;
+            color: #333;
         }
 
-        .badge.medium-risk {
-            background: #ff9800;
+        .wallet-summary ol {
+            margin: 0;
+            padding-left: 20px;
+            font-size: 13px;
         }
 
-        .badge.high-risk {
-            background: #d32f2f;
+        .wallet-summary li {
+            margin-bottom: 6px;
         }
 
-        .approval-description {
-            background: white;
-            padding: 12px;
-            border-radius: 6px;
-            margin-bottom: 12px;
-            font-size: 14px;
-            color: #333;
-            border-left: 4px solid #667eea;
+        .wallet-summary li a {
+            color: #5055e8;
+            cursor: pointer;
         }
 
-        .card-details {
-            background: white;
-            padding: 12px;
-            border-radius: 6px;
-            margin-bottom: 12px;
-            font-size: 13px;
+        @media (max-width: 600px) {
+            .wallet-summary {
+                flex-direction: column;
+            }
         }
 
-        .detail-row {
+        .results-header {
             display: flex;
             justify-content: space-between;
-            padding: 8px 0;
-            border-bottom: 1px solid #f0f0f0;
+            align-items: center;
+            gap: 12px;
+            margin-bottom: 20px;
         }
 
-        .detail-row:last-child {
-            border-bottom: none;
+        .results-header h2 {
+            margin-bottom: 0;
         }
 
-        .detail-label {
-            color: #666;
-            font-weight: 500;
+        .results-header .network-select {
+            padding: 8px 12px;
+            font-size: 14px;
         }
 
-        .detail-value {
-            color: #1a1a1a;
-            word-break: break-all;
-            text-align: right;
-            flex: 1;
-            margin-left: 10px;
+        .network-select:focus {
+            outline: none;
+            border-color: #667eea;
         }
 
         .risks-benefits {
@@ -926,69 +4613,326 @@ function getHtmlContent() {
             cursor: pointer;
         }
 
-        .modal-close:hover {
-            color: #000;
+        .modal-close:hover {
+            color: #000;
+        }
+        
+        .risk-factors-section {
+            background: #f5f5f5;
+            padding: 12px;
+            border-radius: 6px;
+            margin-bottom: 12px;
+            border-left: 4px solid #FF9800;
+        }
+        
+        .risk-factors-section h4 {
+            margin: 0 0 10px 0;
+            font-size: 14px;
+            color: #333;
+        }
+        
+        .risk-factors-list {
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        }
+        
+        .risk-factor-item {
+            display: flex;
+            justify-content: space-between;
+            padding: 8px;
+            background: white;
+            border-radius: 4px;
+            font-size: 13px;
+        }
+        
+        .factor-name {
+            font-weight: 600;
+            color: #333;
+            min-width: 120px;
+        }
+        
+        .factor-value {
+            color: #666;
+            flex: 1;
+            text-align: center;
+        }
+        
+        .factor-contribution {
+            font-weight: 600;
+            color: #FF9800;
+            min-width: 60px;
+            text-align: right;
+        }
+
+        .deployer-flag {
+            color: #d32f2f;
+        }
+
+        .factor-notes {
+            margin: -6px 0 0 0;
+            padding: 0 8px 4px 8px;
+            font-size: 12px;
+            color: #777;
+        }
+
+        .factor-remediation {
+            font-style: italic;
+        }
+        
+        .exploit-warning {
+            background: #FFF3CD;
+            border: 1px solid #FFE69C;
+            border-left: 4px solid #FF6B6B;
+            padding: 12px;
+            border-radius: 6px;
+            margin-bottom: 12px;
+            color: #856404;
+            font-size: 13px;
+        }
+        
+        .metadata-warning {
+            background: #f5f5f5;
+            border-left: 4px solid #999;
+            padding: 10px 12px;
+            border-radius: 6px;
+            margin-bottom: 12px;
+            color: #555;
+            font-size: 13px;
+        }
+
+        .dormant-warning {
+            background: #fff8e1;
+            border-left: 4px solid #FF9800;
+            padding: 10px 12px;
+            border-radius: 6px;
+            margin-bottom: 12px;
+            color: #555;
+            font-size: 13px;
+        }
+
+        .offline-content {
+            white-space: normal;
+        }
+
+        .offline-tx {
+            display: flex;
+            gap: 12px;
+            align-items: flex-start;
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            padding: 10px;
+            margin-bottom: 10px;
+            font-size: 13px;
+            word-break: break-all;
+        }
+
+        .offline-tx img {
+            width: 160px;
+            height: 160px;
+            flex-shrink: 0;
+        }
+
+        .offline-content textarea {
+            width: 100%;
+            font-family: monospace;
+            font-size: 12px;
+            margin-top: 6px;
+        }
+
+        .safe-info {
+            background: #eef0fd;
+            border-left: 4px solid #5055e8;
+            padding: 10px 12px;
+            border-radius: 6px;
+            margin-bottom: 20px;
+            font-size: 13px;
+            word-break: break-all;
+        }
+
+        .safe-info ul {
+            margin: 6px 0 0 0;
+            padding-left: 20px;
+        }
+
+        .approval-select {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            font-size: 13px;
+            color: #555;
+            cursor: pointer;
+        }
+
+        .approval-card.revoked {
+            opacity: 0.6;
+        }
+
+        .revoked-note {
+            background: #e8f5e9;
+            border-left: 4px solid #4caf50;
+            padding: 10px 12px;
+            border-radius: 6px;
+            margin-bottom: 12px;
+            color: #2e7d32;
+            font-size: 13px;
+        }
+
+        .batch-bar {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 20px;
+        }
+
+        .batch-bar button {
+            padding: 8px 12px;
+            font-size: 13px;
+        }
+
+        .batch-bar .revoke-btn {
+            width: auto;
+            margin-top: 0;
+            margin-left: auto;
+        }
+
+        .revoke-queue {
+            border: 1px solid #ddd;
+            border-radius: 8px;
+            padding: 12px;
+            margin-bottom: 20px;
+            font-size: 13px;
+        }
+
+        .revoke-queue-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 8px;
+        }
+
+        .revoke-queue-item {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 8px;
+            border-left: 4px solid #999;
+            background: #f5f5f5;
+            padding: 8px 12px;
+            border-radius: 6px;
+            margin-bottom: 6px;
+        }
+
+        .revoke-queue-item.submitted {
+            border-left-color: #5055e8;
+        }
+
+        .revoke-queue-item.confirmed {
+            border-left-color: #4caf50;
+        }
+
+        .revoke-queue-item.failed {
+            border-left-color: #d32f2f;
+        }
+
+        .revoke-queue-item .revoke-status {
+            margin-left: auto;
+            font-weight: 600;
+        }
+
+        .revoke-queue-item .revoke-error {
+            width: 100%;
+            color: #d32f2f;
+            font-size: 12px;
+        }
+
+        .revoke-queue-item button,
+        .revoke-queue-header button {
+            padding: 4px 10px;
+            font-size: 12px;
+        }
+
+        .limit-btn {
+            width: 100%;
+            margin-top: 12px;
+            background: white;
+            color: #FF9800;
+            border: 1px solid #FF9800;
+        }
+
+        .limit-content {
+            white-space: normal;
         }
-        
-        .risk-factors-section {
+
+        .limit-content input {
+            width: 100%;
+            padding: 10px;
+            font-size: 14px;
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            margin: 8px 0;
+        }
+
+        .limit-preview {
             background: #f5f5f5;
-            padding: 12px;
             border-radius: 6px;
+            padding: 10px 12px;
             margin-bottom: 12px;
-            border-left: 4px solid #FF9800;
-        }
-        
-        .risk-factors-section h4 {
-            margin: 0 0 10px 0;
-            font-size: 14px;
-            color: #333;
+            font-size: 13px;
         }
-        
-        .risk-factors-list {
-            display: flex;
-            flex-direction: column;
-            gap: 8px;
+
+        .limit-steps {
+            margin: 0 0 12px 0;
+            padding-left: 20px;
+            font-size: 13px;
         }
-        
-        .risk-factor-item {
-            display: flex;
-            justify-content: space-between;
-            padding: 8px;
+
+        .history-btn {
+            width: 100%;
+            margin-top: 12px;
             background: white;
-            border-radius: 4px;
-            font-size: 13px;
+            color: #5055e8;
+            border: 1px solid #5055e8;
         }
-        
-        .factor-name {
-            font-weight: 600;
-            color: #333;
-            min-width: 120px;
+
+        .history-content {
+            white-space: normal;
         }
-        
-        .factor-value {
-            color: #666;
-            flex: 1;
-            text-align: center;
+
+        .history-pair {
+            margin-bottom: 20px;
         }
-        
-        .factor-contribution {
-            font-weight: 600;
-            color: #FF9800;
-            min-width: 60px;
-            text-align: right;
+
+        .history-pair h4 {
+            margin: 0 0 8px 0;
+            font-size: 14px;
+            color: #333;
         }
-        
-        .exploit-warning {
-            background: #FFF3CD;
-            border: 1px solid #FFE69C;
-            border-left: 4px solid #FF6B6B;
-            padding: 12px;
+
+        .history-event {
+            border-left: 4px solid #5055e8;
+            background: #f5f5f5;
+            padding: 8px 12px;
             border-radius: 6px;
-            margin-bottom: 12px;
-            color: #856404;
+            margin-bottom: 8px;
             font-size: 13px;
         }
-        
+
+        .history-event.revoked {
+            border-left-color: #4caf50;
+        }
+
+        .history-event.increased,
+        .history-event.granted {
+            border-left-color: #FF9800;
+        }
+
+        .history-event-meta {
+            color: #777;
+            font-size: 12px;
+        }
+
         .exploit-warning strong {
             color: #FF6B6B;
             display: block;
@@ -1637,6 +5581,7 @@ function getHtmlContent() {
         <div class="input-section">
             <input type="text" id="walletAddress" placeholder="Enter wallet address or use connected wallet" autocomplete="off" />
             <span class="clear-icon" id="clearIcon">&times;</span>
+            <select id="networkSelect" class="network-select"></select>
             <button id="fetchBtn">Find Approval</button>
         </div>
 
@@ -1644,11 +5589,30 @@ function getHtmlContent() {
 
         <div class="loader" id="loader">
             <div class="spinner"></div>
-            <p style="margin-top: 10px; color: #666; font-size: 14px;">Finding approvals...</p>
+            <p id="loaderText" style="margin-top: 10px; color: #666; font-size: 14px;">Finding approvals...</p>
         </div>
 
         <div id="results" class="results">
-            <h2>Your Token Approvals</h2>
+            <div class="results-header">
+                <h2>Your Token Approvals</h2>
+                <select id="sortSelect" class="network-select" aria-label="Sort approvals">
+                    <option value="">Sort: Scan order</option>
+                    <option value="valueAtRisk">Most value at risk</option>
+                    <option value="riskScore">Highest risk score</option>
+                </select>
+            </div>
+            <div id="walletSummary" class="wallet-summary" style="display: none;"></div>
+            <div id="safeInfo" class="safe-info" style="display: none;"></div>
+            <div id="batchBar" class="batch-bar" style="display: none;">
+                <span>Select:</span>
+                <button onclick="selectApprovals('highRisk')">All high risk</button>
+                <button onclick="selectApprovals('unlimited')">All unlimited</button>
+                <button onclick="selectApprovals('none')">None</button>
+                <button id="batchRevokeBtn" class="revoke-btn" onclick="revokeSelected()" disabled>Revoke selected (0)</button>
+                <button id="safeExportBtn" class="revoke-btn" onclick="exportSafeBatch()" style="display: none;" disabled>Export Safe batch (0)</button>
+                <button id="offlineExportBtn" onclick="exportOfflineTransactions()" disabled>Export for offline signing (0)</button>
+            </div>
+            <div id="revokeQueue" class="revoke-queue" style="display: none;"></div>
             <div id="approvalsContainer"></div>
         </div>
 
@@ -1678,10 +5642,18 @@ function getHtmlContent() {
         const fetchBtn = document.getElementById('fetchBtn');
         const connectBtn = document.getElementById('connectBtn');
         const loader = document.getElementById('loader');
+        const loaderText = document.getElementById('loaderText');
         const message = document.getElementById('message');
         const results = document.getElementById('results');
         const noApprovals = document.getElementById('noApprovals');
         const approvalsContainer = document.getElementById('approvalsContainer');
+        const walletSummary = document.getElementById('walletSummary');
+        const batchBar = document.getElementById('batchBar');
+        const batchRevokeBtn = document.getElementById('batchRevokeBtn');
+        const safeExportBtn = document.getElementById('safeExportBtn');
+        const offlineExportBtn = document.getElementById('offlineExportBtn');
+        const safeInfo = document.getElementById('safeInfo');
+        const revokeQueueEl = document.getElementById('revokeQueue');
         const walletInfo = document.getElementById('walletInfo');
         const refreshBtn = document.getElementById('refreshBtn');
         const aboutBtn = document.getElementById('aboutBtn');
@@ -1691,7 +5663,20 @@ function getHtmlContent() {
         const subscriptionEmail = document.getElementById('subscriptionEmail');
         const subscriptionMessage = document.getElementById('subscriptionMessage');
 
+        const networkSelect = document.getElementById('networkSelect');
+        const sortSelect = document.getElementById('sortSelect');
+
+        // Networks from networks.json, in file order
+        const networkList = ${JSON.stringify(networkList.map(toPublicNetwork))};
+        const networks = Object.fromEntries(networkList.map(network => [network.id, network]));
+
+        // Score thresholds from the risk policy
+        const riskThresholds = ${JSON.stringify(riskPolicy.thresholds)};
+
         let connectedAddress = null;
+        const approvalsById = new Map();
+        // chainId -> Safe details when the scanned wallet is a Safe on that chain
+        const walletSafes = new Map();
         
         // Clear icon functionality
         walletInput.addEventListener('input', () => {
@@ -1767,9 +5752,27 @@ function getHtmlContent() {
         });
 
         function getNetworkInfo(chainId) {
-            const networks = {"1": {"id": 1, "name": "Ethereum", "shortName": "eth", "rpc": "https://eth-mainnet.g.alchemy.com/v2/", "explorer": "https://etherscan.io", "currency": "ETH", "type": "mainnet"}, "137": {"id": 137, "name": "Polygon", "shortName": "matic", "rpc": "https://polygon-mainnet.g.alchemy.com/v2/", "explorer": "https://polygonscan.com", "currency": "MATIC", "type": "mainnet"}, "42161": {"id": 42161, "name": "Arbitrum One", "shortName": "arb1", "rpc": "https://arb-mainnet.g.alchemy.com/v2/", "explorer": "https://arbiscan.io", "currency": "ETH", "type": "mainnet"}, "10": {"id": 10, "name": "Optimism", "shortName": "opt", "rpc": "https://opt-mainnet.g.alchemy.com/v2/", "explorer": "https://optimistic.etherscan.io", "currency": "ETH", "type": "mainnet"}, "8453": {"id": 8453, "name": "Base", "shortName": "base", "rpc": "https://base-mainnet.g.alchemy.com/v2/", "explorer": "https://basescan.org", "currency": "ETH", "type": "mainnet"}, "56": {"id": 56, "name": "BNB Smart Chain", "shortName": "bsc", "rpc": "https://bsc-dataseed.bnbchain.org:443", "explorer": "https://bscscan.com", "currency": "BNB", "type": "mainnet"}, "250": {"id": 250, "name": "Fantom", "shortName": "ftm", "rpc": "https://rpc.ftm.tools", "explorer": "https://ftmscan.com", "currency": "FTM", "type": "mainnet"}, "43114": {"id": 43114, "name": "Avalanche C-Chain", "shortName": "avax", "rpc": "https://api.avax.network/ext/bc/C/rpc", "explorer": "https://snowtrace.io", "currency": "AVAX", "type": "mainnet"}, "25": {"id": 25, "name": "Cronos", "shortName": "cro", "rpc": "https://evm.cronos.org", "explorer": "https://cronoscan.com", "currency": "CRO", "type": "mainnet"}, "1101": {"id": 1101, "name": "Polygon zkEVM", "shortName": "zkEVM", "rpc": "https://zkevm-rpc.com", "explorer": "https://zkevm.polygonscan.com", "currency": "ETH", "type": "mainnet"}, "324": {"id": 324, "name": "zkSync Era", "shortName": "zksync", "rpc": "https://mainnet.era.zksync.io", "explorer": "https://explorer.zksync.io", "currency": "ETH", "type": "mainnet"}, "59144": {"id": 59144, "name": "Linea", "shortName": "linea", "rpc": "https://rpc.linea.build", "explorer": "https://lineascan.com", "currency": "ETH", "type": "mainnet"}, "34443": {"id": 34443, "name": "Mode", "shortName": "mode", "rpc": "https://mainnet.mode.network", "explorer": "https://modescan.io", "currency": "ETH", "type": "mainnet"}, "7": {"id": 7, "name": "ThunderCore Testnet", "shortName": "tt-test", "rpc": "https://testnet-rpc.thundercore.com", "explorer": "https://testnet-explorer.thundercore.com", "currency": "TT", "type": "testnet"}, "288": {"id": 288, "name": "Boba Network", "shortName": "boba", "rpc": "https://mainnet.boba.network", "explorer": "https://bobascan.com", "currency": "ETH", "type": "mainnet"}, "100": {"id": 100, "name": "Gnosis Chain", "shortName": "gno", "rpc": "https://rpc.gnosischain.com", "explorer": "https://gnosisscan.io", "currency": "xDAI", "type": "mainnet"}, "1088": {"id": 1088, "name": "Metis Andromeda", "shortName": "metis-and", "rpc": "https://andromeda.metis.io/?owner=1088", "explorer": "https://andromeda-explorer.metis.io", "currency": "METIS", "type": "mainnet"}, "1284": {"id": 1284, "name": "Moonbeam", "shortName": "glmr", "rpc": "https://rpc.api.moonbeam.network", "explorer": "https://moonscan.io", "currency": "GLMR", "type": "mainnet"}, "1285": {"id": 1285, "name": "Moonriver", "shortName": "movr", "rpc": "https://rpc.api.moonriver.moonbeam.network", "explorer": "https://moonriver.moonscan.io", "currency": "MOVR", "type": "mainnet"}, "2222": {"id": 2222, "name": "Kava", "shortName": "kava", "rpc": "https://evm.kava.io", "explorer": "https://explorer.kava.io", "currency": "KAVA", "type": "mainnet"}, "106": {"id": 106, "name": "Velas", "shortName": "velas", "rpc": "https://evmexplorer.velas.com/rpc", "explorer": "https://evmexplorer.velas.com", "currency": "VLX", "type": "mainnet"}, "128": {"id": 128, "name": "Huobi ECO Chain", "shortName": "heco", "rpc": "https://http-mainnet.hecochain.com", "explorer": "https://hecoinfo.com", "currency": "HT", "type": "mainnet"}, "1313161554": {"id": 1313161554, "name": "Aurora", "shortName": "aurora", "rpc": "https://mainnet.aurora.dev", "explorer": "https://explorer.aurora.dev", "currency": "ETH", "type": "mainnet"}, "42220": {"id": 42220, "name": "Celo", "shortName": "celo", "rpc": "https://forno.celo.org", "explorer": "https://celoscan.io", "currency": "CELO", "type": "mainnet"}, "1666600000": {"id": 1666600000, "name": "Harmony One", "shortName": "one", "rpc": "https://api.harmony.one", "explorer": "https://explorer.harmony.one", "currency": "ONE", "type": "mainnet"}, "9001": {"id": 9001, "name": "Evmos", "shortName": "evmos", "rpc": "https://eth.bd.evmos.org:8545", "explorer": "https://escan.live", "currency": "EVMOS", "type": "mainnet"}, "11155111": {"id": 11155111, "name": "Ethereum Sepolia", "shortName": "sep", "rpc": "https://eth-sepolia.g.alchemy.com/v2/", "explorer": "https://sepolia.etherscan.io", "currency": "ETH", "type": "testnet"}, "80001": {"id": 80001, "name": "Polygon Mumbai", "shortName": "mumbai", "rpc": "https://polygon-mumbai.g.alchemy.com/v2/", "explorer": "https://mumbai.polygonscan.com", "currency": "MATIC", "type": "testnet"}, "421614": {"id": 421614, "name": "Arbitrum Sepolia", "shortName": "arb-sep", "rpc": "https://sepolia-rollup.arbitrum.io/rpc", "explorer": "https://sepolia.arbiscan.io", "currency": "ETH", "type": "testnet"}, "11155420": {"id": 11155420, "name": "Optimism Sepolia", "shortName": "opt-sep", "rpc": "https://sepolia.optimism.io", "explorer": "https://sepolia-optimistic.etherscan.io", "currency": "ETH", "type": "testnet"}, "84532": {"id": 84532, "name": "Base Sepolia", "shortName": "base-sep", "rpc": "https://sepolia.base.org", "explorer": "https://sepolia.basescan.org", "currency": "ETH", "type": "testnet"}, "97": {"id": 97, "name": "BNB Testnet", "shortName": "bsc-test", "rpc": "https://data-seed-prebsc-1-b.binance.org:8545", "explorer": "https://testnet.bscscan.com", "currency": "BNB", "type": "testnet"}, "4002": {"id": 4002, "name": "Fantom Testnet", "shortName": "ftm-test", "rpc": "https://rpc.testnet.fantom.network", "explorer": "https://testnet.ftmscan.com", "currency": "FTM", "type": "testnet"}, "43113": {"id": 43113, "name": "Avalanche Fuji", "shortName": "fuji", "rpc": "https://api.avax-test.network/ext/bc/C/rpc", "explorer": "https://testnet.snowtrace.io", "currency": "AVAX", "type": "testnet"}, "5": {"id": 5, "name": "Ethereum Goerli", "shortName": "gor", "rpc": "https://eth-goerli.g.alchemy.com/v2/", "explorer": "https://goerli.etherscan.io", "currency": "ETH", "type": "testnet"}, "7701": {"id": 7701, "name": "Canto", "shortName": "canto", "rpc": "https://mainnode.plexnode.org:8545", "explorer": "https://evm.explorer.canto.io", "currency": "CANTO", "type": "mainnet"}, "1030": {"id": 1030, "name": "Conflux eSpace", "shortName": "cfx", "rpc": "https://evm.confluxrpc.com", "explorer": "https://evm.confluxscan.com", "currency": "CFX", "type": "mainnet"}, "5000": {"id": 5000, "name": "Mantle", "shortName": "mnt", "rpc": "https://rpc.mantle.xyz", "explorer": "https://explorer.mantle.xyz", "currency": "MNT", "type": "mainnet"}, "169": {"id": 169, "name": "Manta Pacific", "shortName": "manta", "rpc": "https://pacific-rpc.manta.network/http", "explorer": "https://pacific-explorer.manta.network", "currency": "ETH", "type": "mainnet"}, "8217": {"id": 8217, "name": "Klaytn", "shortName": "klay", "rpc": "https://public-node-api.klaytnapi.com/v1/cypress", "explorer": "https://scope.klaytn.com", "currency": "KLAY", "type": "mainnet"}, "592": {"id": 592, "name": "Astar", "shortName": "astar", "rpc": "https://rpc.astar.network:8545", "explorer": "https://astar.subscan.io", "currency": "ASTR", "type": "mainnet"}, "1116": {"id": 1116, "name": "Core", "shortName": "core", "rpc": "https://rpc.coredao.org", "explorer": "https://scan.coredao.org", "currency": "CORE", "type": "mainnet"}, "7777777": {"id": 7777777, "name": "Zora", "shortName": "zora", "rpc": "https://rpc.zora.energy", "explorer": "https://explorer.zora.energy", "currency": "ETH", "type": "mainnet"}, "534352": {"id": 534352, "name": "Scroll", "shortName": "scroll", "rpc": "https://rpc.scroll.io", "explorer": "https://scrollscan.com", "currency": "ETH", "type": "mainnet"}, "570": {"id": 570, "name": "Rollux", "shortName": "rollux", "rpc": "https://rpc.rollux.com", "explorer": "https://explorer.rollux.com", "currency": "SYS", "type": "mainnet"}, "2000": {"id": 2000, "name": "Dogechain", "shortName": "doge", "rpc": "https://rpc.dogechain.dog", "explorer": "https://explorer.dogechain.dog", "currency": "DOGE", "type": "mainnet"}, "32659": {"id": 32659, "name": "Fusion", "shortName": "fsn", "rpc": "https://mainnet.anyswap.exchange:8545", "explorer": "https://www.fsnscan.com", "currency": "FSN", "type": "mainnet"}, "1890": {"id": 1890, "name": "Lightlink Phoenix", "shortName": "ll", "rpc": "https://phoenix-rpc.lightlink.io/http", "explorer": "https://phoenix.lightlink.io", "currency": "ETH", "type": "mainnet"}, "7560": {"id": 7560, "name": "Cyber", "shortName": "cyber", "rpc": "https://rpc.cyber.co", "explorer": "https://cyberscan.co", "currency": "ETH", "type": "mainnet"}, "204": {"id": 204, "name": "opBNB", "shortName": "opbnb", "rpc": "https://opbnb-mainnet-rpc.bnbchain.org", "explorer": "https://opbnbscan.com", "currency": "BNB", "type": "mainnet"}, "5611": {"id": 5611, "name": "opBNB Testnet", "shortName": "opbnb-test", "rpc": "https://opbnb-testnet-rpc.bnbchain.org", "explorer": "https://testnet.opbnbscan.com", "currency": "BNB", "type": "testnet"}, "8844": {"id": 8844, "name": "Berachain Artio", "shortName": "berachain", "rpc": "https://artio.rpc.berachain.com", "explorer": "https://artio.berascan.com", "currency": "BERA", "type": "testnet"}, "6969": {"id": 6969, "name": "Sepolia PGN", "shortName": "pgn-sep", "rpc": "https://sepolia.publicgoods.network", "explorer": "https://sepolia-explorer.publicgoods.network", "currency": "ETH", "type": "testnet"}, "2522": {"id": 2522, "name": "Fraxtal", "shortName": "frax", "rpc": "https://rpc.frax.com", "explorer": "https://fraxscan.com", "currency": "ETH", "type": "mainnet"}, "957": {"id": 957, "name": "Lyra Chain", "shortName": "lyra", "rpc": "https://rpc.lyra.finance", "explorer": "https://explorer.lyra.finance", "currency": "ETH", "type": "mainnet"}, "666666666": {"id": 666666666, "name": "Degen", "shortName": "degen", "rpc": "https://rpc.degen.tips", "explorer": "https://explorer.degen.tips", "currency": "DEGEN", "type": "mainnet"}};
             return networks[chainId] || null;
         }
+
+        // Network selector: mainnets first, testnets grouped below
+        function populateNetworkSelect() {
+            const groups = [['mainnet', 'Mainnets'], ['testnet', 'Testnets']];
+            networkSelect.innerHTML = '<option value="all">All mainnets</option>' + groups.map(([type, label]) => \`
+                <optgroup label="\${label}">
+                    \${networkList.filter(network => network.type === type).map(network => \`<option value="\${network.id}">\${network.name}</option>\`).join('')}
+                </optgroup>
+            \`).join('');
+            networkSelect.value = '1';
+        }
+
+        function selectNetwork(chainId) {
+            if (getNetworkInfo(chainId)) {
+                networkSelect.value = String(chainId);
+            }
+        }
+
+        populateNetworkSelect();
         
                 // Mobile detection
         function isMobileDevice() {
@@ -1864,6 +5867,7 @@ function getHtmlContent() {
                     const chainIdDecimal = parseInt(chainId, 16);
                     const networkInfo = getNetworkInfo(chainIdDecimal);
                     const networkDisplay = networkInfo ? \` • \${networkInfo.name}\` : '';
+                    selectNetwork(chainIdDecimal);
                     
                     walletInfo.textContent = \`✓ Connected: \${connectedAddress.slice(0, 6)}...\${connectedAddress.slice(-4)}\${networkDisplay}\`;
                     walletInfo.classList.add('connected');
@@ -1892,6 +5896,7 @@ function getHtmlContent() {
                     const chainIdDecimal = parseInt(chainId, 16);
                     const networkInfo = getNetworkInfo(chainIdDecimal);
                     const networkDisplay = networkInfo ? \` • \${networkInfo.name}\` : '';
+                    selectNetwork(chainIdDecimal);
                     
                     walletInfo.textContent = \`✓ Connected: \${connectedAddress.slice(0, 6)}...\${connectedAddress.slice(-4)}\${networkDisplay}\`;
                     walletInfo.classList.add('connected');
@@ -1904,6 +5909,12 @@ function getHtmlContent() {
                         const newChainId = parseInt(chainId, 16);
                         const newNetworkInfo = getNetworkInfo(newChainId);
                         const newNetworkDisplay = newNetworkInfo ? \` • \${newNetworkInfo.name}\` : '';
+                        // A switch made to send a revoke leaves the scan selection (e.g. "All mainnets") alone
+                        if (newChainId === requestedWalletChainId) {
+                            requestedWalletChainId = null;
+                        } else {
+                            selectNetwork(newChainId);
+                        }
                         walletInfo.textContent = \`✓ Connected: \${connectedAddress.slice(0, 6)}...\${connectedAddress.slice(-4)}\${newNetworkDisplay}\`;
                     });
                 } else {
@@ -1911,251 +5922,1391 @@ function getHtmlContent() {
                     openWalletOnMobile();
                 }
             } catch (error) {
-                // If extension fails, try mobile deep link or WalletConnect
-                openWalletOnMobile();
+                // If extension fails, try mobile deep link or WalletConnect
+                openWalletOnMobile();
+            }
+        });
+
+        // Close About Modal
+        function closeAboutModal() {
+            document.getElementById('aboutModal').style.display = 'none';
+        }
+        
+        // Close Knowledge Modal
+        function closeKnowledgeModal() {
+            document.getElementById('knowledgeModal').style.display = 'none';
+        }
+        
+        // Close History Modal
+        function closeHistoryModal() {
+            document.getElementById('historyModal').style.display = 'none';
+        }
+
+        function closeLimitModal() {
+            document.getElementById('limitModal').style.display = 'none';
+        }
+
+        function closeOfflineModal() {
+            document.getElementById('offlineModal').style.display = 'none';
+        }
+        
+        // Close modal when clicking outside of it
+        window.onclick = function(event) {
+            const aboutModal = document.getElementById('aboutModal');
+            const knowledgeModal = document.getElementById('knowledgeModal');
+            const historyModal = document.getElementById('historyModal');
+            const limitModal = document.getElementById('limitModal');
+            const offlineModal = document.getElementById('offlineModal');
+            
+            if (event.target === aboutModal) {
+                aboutModal.style.display = 'none';
+            }
+            if (event.target === knowledgeModal) {
+                knowledgeModal.style.display = 'none';
+            }
+            if (event.target === historyModal) {
+                historyModal.style.display = 'none';
+            }
+            if (event.target === limitModal) {
+                limitModal.style.display = 'none';
+            }
+            if (event.target === offlineModal) {
+                offlineModal.style.display = 'none';
+            }
+        }
+
+        refreshBtn.addEventListener('click', () => {
+            location.reload();
+        });
+
+        fetchBtn.addEventListener('click', async () => {
+            const address = walletInput.value.trim();
+
+            if (!address) {
+                showMessage('Please enter a wallet address or connect your wallet', 'error');
+                return;
+            }
+
+            try {
+                fetchBtn.disabled = true;
+                loader.style.display = 'block';
+                results.style.display = 'none';
+                noApprovals.style.display = 'none';
+                message.style.display = 'none';
+                approvalsContainer.innerHTML = '';
+                walletSummary.style.display = 'none';
+                batchBar.style.display = 'none';
+                safeInfo.style.display = 'none';
+                approvalsById.clear();
+                walletSafes.clear();
+
+                loaderText.textContent = 'Finding approvals...';
+
+                const allChains = networkSelect.value === 'all';
+                const summary = await streamApprovals(address, allChains);
+
+                loader.style.display = 'none';
+                renderWalletSummary(summary.summary);
+                renderScanSummary(summary, allChains);
+                summary.chains.filter(chain => chain.safe).forEach(chain => walletSafes.set(chain.network.id, chain.safe));
+                renderSafeInfo(summary.chains);
+                batchRevokeBtn.style.display = canRevokeFor(address) ? '' : 'none';
+                safeExportBtn.style.display = walletSafes.size > 0 ? '' : 'none';
+                batchBar.style.display = summary.count > 0 ? 'flex' : 'none';
+                updateBatchBar();
+            } catch (error) {
+                loader.style.display = 'none';
+                showMessage(\`Error: \${error.message}\`, 'error');
+            } finally {
+                fetchBtn.disabled = false;
+            }
+        });
+
+        // Stream approvals over Server-Sent Events, rendering each card as soon as it is scored
+        function streamApprovals(address, allChains) {
+            const params = new URLSearchParams({ walletAddress: address });
+            if (allChains) {
+                params.set('chainIds', 'mainnets');
+            } else {
+                params.set('chainId', networkSelect.value);
+            }
+
+            return new Promise((resolve, reject) => {
+                const source = new EventSource(\`/api/approvals/stream?\${params}\`);
+                const chains = [];
+                let count = 0;
+
+                source.addEventListener('progress', (event) => {
+                    const progress = JSON.parse(event.data);
+                    loaderText.textContent = allChains ? \`\${progress.networkName}: \${progress.message}\` : progress.message;
+                });
+
+                source.addEventListener('approval', (event) => {
+                    const approval = JSON.parse(event.data);
+                    count++;
+                    results.style.display = 'block';
+                    const card = renderApprovalCard(approval, address);
+                    card.dataset.scanOrder = count;
+                    getApprovalGroup(approval, allChains).appendChild(card);
+                    sortApprovalCards();
+                    showMessage(\`Found \${count} active approval(s) so far...\`, 'success');
+                });
+
+                source.addEventListener('chain', (event) => {
+                    chains.push(JSON.parse(event.data));
+                });
+
+                source.addEventListener('done', (event) => {
+                    source.close();
+                    resolve({ ...JSON.parse(event.data), chains });
+                });
+
+                source.addEventListener('scan-error', (event) => {
+                    source.close();
+                    reject(new Error(JSON.parse(event.data).error));
+                });
+
+                // Connection failures: close so the browser does not reconnect and rescan; rejected requests arrive as scan-error
+                source.onerror = () => {
+                    source.close();
+                    reject(new Error('Failed to find approvals'));
+                };
+            });
+        }
+
+        // Cards are grouped under a header per network when scanning all chains
+        function getApprovalGroup(approval, allChains) {
+            if (!allChains) {
+                return approvalsContainer;
+            }
+
+            let group = approvalsContainer.querySelector(\`.network-group[data-chain-id="\${approval.chainId}"]\`);
+            if (!group) {
+                group = document.createElement('div');
+                group.className = 'network-group';
+                group.dataset.chainId = approval.chainId;
+                group.innerHTML = \`
+                    <div class="network-group-header">
+                        <h3>\${approval.networkName}</h3>
+                        <span class="network-group-count"></span>
+                    </div>
+                \`;
+                approvalsContainer.appendChild(group);
+            }
+
+            const cardCount = group.querySelectorAll('.approval-card').length + 1;
+            group.querySelector('.network-group-count').textContent = \`\${cardCount} approval(s)\`;
+            return group;
+        }
+
+        // Reorder cards inside each network group (or the single list) by the selected sort
+        function sortApprovalCards() {
+            const sortBy = sortSelect.value;
+            const groups = [approvalsContainer, ...approvalsContainer.querySelectorAll('.network-group')];
+            const sortValue = (card) => {
+                const approval = approvalsById.get(card.dataset.approvalId);
+                if (sortBy === 'valueAtRisk') {
+                    return approval.valueAtRisk ? approval.valueAtRisk.exposureUsd : -1;
+                }
+                if (sortBy === 'riskScore') {
+                    return approval.riskScore;
+                }
+                return -Number(card.dataset.scanOrder);
+            };
+
+            groups.forEach(group => {
+                const cards = Array.from(group.children).filter(child => child.classList.contains('approval-card'));
+                cards.sort((a, b) => sortValue(b) - sortValue(a)).forEach(card => group.appendChild(card));
+            });
+        }
+
+        sortSelect.addEventListener('change', sortApprovalCards);
+
+        // Token and collection names, symbols and contract names come from the chain, where anyone can
+        // emit an Approval naming this wallet: escape them (and error text) before they go into innerHTML
+        function escapeHtml(value) {
+            if (value === null || value === undefined) {
+                return '';
+            }
+            return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+        }
+
+        function formatUsd(value) {
+            return value.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+        }
+
+        const gradeColors = { A: '#4CAF50', B: '#8BC34A', C: '#FF9800', D: '#FF5722', F: '#d32f2f' };
+
+        // Wallet-level grade, counts and top actions, shown above the approval cards
+        function renderWalletSummary(summary) {
+            if (!summary || summary.approvalCount === 0) {
+                walletSummary.style.display = 'none';
+                return;
+            }
+
+            walletSummary.innerHTML = \`
+                <div class="wallet-grade" style="background-color: \${gradeColors[summary.grade]};" title="Wallet score \${summary.score}/100">\${summary.grade}</div>
+                <div>
+                    <div class="wallet-summary-stats">
+                        <span><strong>\${summary.approvalCount}</strong> active approval(s)</span>
+                        <span><strong>\${summary.unlimitedCount}</strong> unlimited</span>
+                        <span><strong>\${summary.unverifiedApprovalCount}</strong> to unverified spenders</span>
+                        <span><strong>\${summary.exploitedApprovalCount}</strong> to exploited spenders</span>
+                        <span><strong>\${formatUsd(summary.totalValueAtRisk)}</strong> at risk</span>
+                    </div>
+                    \${summary.topActions.length > 0 ? \`
+                        <h4>Top actions</h4>
+                        <ol>
+                            \${summary.topActions.map(action => \`
+                                <li><a onclick="scrollToApproval('\${escapeHtml(action.approvalId)}')">\${escapeHtml(action.action)}</a>: \${escapeHtml(action.reason)}</li>
+                            \`).join('')}
+                        </ol>
+                    \` : ''}
+                </div>
+            \`;
+            walletSummary.style.display = 'flex';
+        }
+
+        function scrollToApproval(approvalId) {
+            const card = approvalsContainer.querySelector(\`[data-approval-id="\${approvalId}"]\`);
+            if (card) {
+                card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        }
+
+        // Final message once the stream is done, listing networks that failed to scan
+        function renderScanSummary(summary, allChains) {
+            const failedChains = summary.chains.filter(chain => chain.status === 'failed');
+
+            if (!allChains) {
+                const chain = summary.chains[0];
+                if (chain.status === 'failed') {
+                    showMessage(\`Error: \${chain.error}\`, 'error');
+                } else if (summary.count === 0) {
+                    noApprovals.style.display = 'block';
+                    showMessage('No active approvals found', 'success');
+                } else {
+                    showMessage(\`Found \${summary.count} active approval(s) on \${chain.network.name}, \${formatUsd(summary.totalValueAtRisk)} at risk\`, 'success');
+                }
+                return;
+            }
+
+            const networksWithApprovals = summary.chains.filter(chain => chain.count > 0).length;
+            const failureNote = failedChains.length > 0 ? \` (\${failedChains.length} network(s) could not be scanned)\` : '';
+
+            if (summary.count === 0) {
+                noApprovals.style.display = 'block';
+                showMessage(\`No active approvals found on \${summary.chainsScanned - failedChains.length} network(s)\${failureNote}\`, failedChains.length > 0 ? 'error' : 'success');
+            } else {
+                showMessage(\`Found \${summary.count} active approval(s) on \${networksWithApprovals} network(s), \${formatUsd(summary.totalValueAtRisk)} at risk\${failureNote}\`, 'success');
+            }
+
+            if (failedChains.length > 0) {
+                results.style.display = 'block';
+                const failures = document.createElement('div');
+                failures.className = 'network-failures';
+                failures.innerHTML = \`
+                    <strong>Networks that could not be scanned:</strong>
+                    <ul>
+                        \${failedChains.map(chain => \`<li>\${chain.network.name}: \${escapeHtml(chain.error)}</li>\`).join('')}
+                    </ul>
+                \`;
+                approvalsContainer.appendChild(failures);
+            }
+        }
+
+        const approvalTypeLabels = {
+            'erc20': 'Token allowance',
+            'nft-operator': 'Operator for all NFTs',
+            'nft-token': 'Single NFT',
+            'permit2': 'Permit2 sub-allowance'
+        };
+
+        function renderApprovalCard(approval, address) {
+            approvalsById.set(approval.id, approval);
+
+            const isNft = approval.approvalType === 'nft-operator' || approval.approvalType === 'nft-token';
+            let allowanceDisplay = approval.isUnlimited ? 'Unlimited' : approval.allowance;
+            if (approval.decimalsUnknown && !approval.isUnlimited) {
+                allowanceDisplay += ' (raw units, token has no decimals)';
+            }
+            let balanceDisplay = \`\${parseFloat(approval.userBalance).toLocaleString()} \${escapeHtml(approval.tokenSymbol)}\`;
+            if (isNft) {
+                balanceDisplay = approval.userBalance === null ? 'Not available' : \`\${approval.userBalance} NFT(s)\`;
+            }
+
+            const riskBadgeClass = approval.riskLevel === 'low' ? 'low-risk' : approval.riskLevel === 'medium' ? 'medium-risk' : 'high-risk';
+            const riskBadgeText = approval.riskLevel ? approval.riskLevel.charAt(0).toUpperCase() + approval.riskLevel.slice(1) + ' Risk' : 'Unknown Risk';
+                        
+            // Determine risk score color
+            let riskScoreColor = '#4CAF50'; // Green
+            if (approval.riskScore >= riskThresholds.highRiskScore) riskScoreColor = '#FF5722'; // Red
+            else if (approval.riskScore >= riskThresholds.mediumRiskScore) riskScoreColor = '#FF9800'; // Orange
+
+            let risksHtml = '';
+            if (approval.risks && approval.risks.length > 0) {
+                risksHtml = \`
+                    <div class="risks-list">
+                        <h4>Risks:</h4>
+                        <ul>
+                            \${approval.risks.map(risk => \`<li>\${escapeHtml(risk)}</li>\`).join('')}
+                        </ul>
+                    </div>
+                \`;
+            }
+
+            let benefitsHtml = '';
+            if (approval.benefits && approval.benefits.length > 0) {
+                benefitsHtml = \`
+                    <div class="benefits-list">
+                        <h4>Benefits:</h4>
+                        <ul>
+                            \${approval.benefits.map(benefit => \`<li>\${escapeHtml(benefit)}</li>\`).join('')}
+                        </ul>
+                    </div>
+                \`;
+            }
+                        
+            let riskFactorsHtml = '';
+            if (approval.riskFactors && approval.riskFactors.length > 0) {
+                riskFactorsHtml = \`
+                    <div class="risk-factors-section">
+                        <h4>Risk Score Breakdown:</h4>
+                        <div class="risk-factors-list">
+                            \${approval.riskFactors.map(factor => \`
+                                <div class="risk-factor-item" data-factor-id="\${factor.id}">
+                                    <span class="factor-name">\${escapeHtml(factor.label)}</span>
+                                    <span class="factor-value">\${escapeHtml(factor.value)}</span>
+                                    <span class="factor-contribution">\${factor.contribution}/\${factor.maxContribution}</span>
+                                </div>
+                                <div class="factor-notes">
+                                    \${factor.explanation ? \`<div class="factor-explanation">\${escapeHtml(factor.explanation)}</div>\` : ''}
+                                    \${factor.remediation ? \`<div class="factor-remediation">\${escapeHtml(factor.remediation)}</div>\` : ''}
+                                </div>
+                            \`).join('')}
+                        </div>
+                    </div>
+                \`;
+            }
+                        
+            let exploitWarningHtml = '';
+            if (approval.hasKnownExploit && approval.exploits && approval.exploits.length > 0) {
+                exploitWarningHtml = \`
+                    <div class="exploit-warning">
+                        <strong>⚠️ Known Exploit Alert:</strong>
+                        <ul>
+                            \${approval.exploits.map(exploit => \`<li>\${exploit.name} - \${exploit.date}</li>\`).join('')}
+                        </ul>
+                    </div>
+                \`;
+            }
+
+            const card = document.createElement('div');
+            card.className = 'approval-card';
+            card.dataset.approvalId = approval.id;
+            card.innerHTML = \`
+                <div class="card-header">
+                    <h3>\${escapeHtml(approval.tokenName)} (\${escapeHtml(approval.tokenSymbol)})</h3>
+                    <div style="display: flex; gap: 8px; align-items: center;">
+                        <label class="approval-select"><input type="checkbox" value="\${approval.id}" onchange="updateBatchBar()"> Select</label>
+                        <span class="badge \${approval.isVerified ? 'verified' : 'unverified'}">\${approval.isVerified ? '✓ Verified' : '⚠ Unverified'}</span>
+                        <span class="badge \${riskBadgeClass}">\${riskBadgeText}</span>
+                        <div class="risk-score-badge" style="background-color: \${riskScoreColor}; color: white; padding: 4px 12px; border-radius: 20px; font-weight: bold; font-size: 14px;">
+                            Risk: \${approval.riskScore}/100
+                        </div>
+                    </div>
+                </div>
+
+                \${exploitWarningHtml}
+
+                \${approval.metadataUnavailable ? \`
+                    <div class="metadata-warning">
+                        ⚠ Token metadata unavailable\${approval.metadataIssues && approval.metadataIssues.length > 0 ? \` (\${escapeHtml(approval.metadataIssues.join(', '))})\` : ''}. This is a live approval; check the token contract before trusting its name.
+                    </div>
+                \` : ''}
+
+                \${approval.recommendation ? \`
+                    <div class="dormant-warning">
+                        🕸 \${approval.recommendation}
+                    </div>
+                \` : ''}
+
+                <div class="approval-description">
+                    <strong>\${escapeHtml(approval.spenderName)}</strong> - \${escapeHtml(approval.spenderDescription)}
+                </div>
+
+                <div class="card-details">
+                    <div class="detail-row">
+                        <span class="detail-label">Allowance</span>
+                        <span class="detail-value" data-field="allowance">\${allowanceDisplay}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Your Balance</span>
+                        <span class="detail-value">\${balanceDisplay}</span>
+                    </div>
+                    \${!isNft ? \`
+                    <div class="detail-row">
+                        <span class="detail-label">Value at Risk</span>
+                        <span class="detail-value">\${approval.valueAtRisk
+                            ? \`\${formatUsd(approval.valueAtRisk.exposureUsd)} of \${formatUsd(approval.valueAtRisk.balanceUsd)} balance\`
+                            : 'No price available'}</span>
+                    </div>
+                    \` : ''}
+                    <div class="detail-row">
+                        <span class="detail-label">Approval Type</span>
+                        <span class="detail-value">\${approvalTypeLabels[approval.approvalType] || approval.approvalType} (\${approval.tokenStandard})</span>
+                    </div>
+                    \${approval.permit2 ? \`
+                    <div class="detail-row">
+                        <span class="detail-label">Permit2 Expires</span>
+                        <span class="detail-value">\${new Date(approval.permit2.expiresAt).toLocaleString()}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Permit2 Nonce</span>
+                        <span class="detail-value">\${approval.permit2.nonce}</span>
+                    </div>
+                    \` : ''}
+                    <div class="detail-row">
+                        <span class="detail-label">Category</span>
+                        <span class="detail-value">\${escapeHtml(approval.category || 'Unknown')}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Network</span>
+                        <span class="detail-value">\${approval.networkName}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Token Contract</span>
+                        <span class="detail-value"><a href="\${approval.tokenUrl}" target="_blank" rel="noopener">\${approval.tokenAddress}</a></span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Spender</span>
+                        <span class="detail-value"><a href="\${approval.spenderUrl}" target="_blank" rel="noopener">\${approval.spender}</a></span>
+                    </div>
+                    \${approval.spenderCode ? \`
+                    <div class="detail-row">
+                        <span class="detail-label">Spender Type</span>
+                        <span class="detail-value">\${approval.spenderCode.kind === 'eoa'
+                            ? (approval.spenderCode.delegatedTo ? \`⚠ Wallet delegated to \${approval.spenderCode.delegatedTo}\` : '⚠ Wallet (EOA), not a contract')
+                            : approval.spenderCode.isProxy ? \`Upgradeable proxy (\${approval.spenderCode.proxyStandard})\` : 'Contract (not upgradeable)'}</span>
+                    </div>
+                    \` : ''}
+                    \${approval.spenderCreation ? \`
+                    <div class="detail-row">
+                        <span class="detail-label">Deployed</span>
+                        <span class="detail-value">\${approval.spenderCreation.txUrl
+                            ? \`<a href="\${approval.spenderCreation.txUrl}" target="_blank" rel="noopener">\${new Date(approval.spenderCreation.createdAt).toLocaleString()}</a>\`
+                            : approval.spenderCreation.createdAt ? new Date(approval.spenderCreation.createdAt).toLocaleString() : \`Block \${approval.spenderCreation.blockNumber}\`}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Deployer</span>
+                        <span class="detail-value">\${approval.spenderCreation.deployer
+                            ? \`<a href="\${approval.spenderCreation.deployerUrl}" target="_blank" rel="noopener">\${approval.spenderCreation.deployer}</a>\`
+                            : 'Unknown (created by another contract)'}\${approval.spenderCreation.deployerExploits.length > 0
+                            ? \` <strong class="deployer-flag">⚠ Also deployed: \${approval.spenderCreation.deployerExploits.map(exploit => exploit.name).join(', ')}</strong>\`
+                            : ''}</span>
+                    </div>
+                    \` : ''}
+                    \${approval.spenderCode && approval.spenderCode.isProxy ? \`
+                    <div class="detail-row">
+                        <span class="detail-label">Implementation</span>
+                        <span class="detail-value">\${approval.spenderCode.implementation
+                            ? \`<a href="\${approval.spenderCode.implementationUrl}" target="_blank" rel="noopener">\${approval.spenderCode.implementation}</a>\`
+                            : 'Unknown'}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Proxy Admin</span>
+                        <span class="detail-value">\${approval.spenderCode.admin
+                            ? \`<a href="\${approval.spenderCode.adminUrl}" target="_blank" rel="noopener">\${approval.spenderCode.admin}</a>\${approval.spenderCode.adminIsEoa ? ' (wallet)' : ''}\`
+                            : 'Unknown'}</span>
+                    </div>
+                    \` : ''}
+                    \${approval.usage ? \`
+                    <div class="detail-row">
+                        <span class="detail-label">Last Used</span>
+                        <span class="detail-value">\${approval.usage.used
+                            ? \`<a href="\${approval.usage.lastUsedTxUrl}" target="_blank" rel="noopener">\${approval.usage.lastUsedAt ? new Date(approval.usage.lastUsedAt).toLocaleDateString() : 'Block ' + approval.usage.lastUsedBlock}</a> (\${approval.usage.transferCount} transfer\${approval.usage.transferCount === 1 ? '' : 's'}, \${approval.usage.amountMoved} \${escapeHtml(approval.tokenSymbol)} moved)\`
+                            : approval.usage.unknown ? 'Unknown (some transfers could not be matched to a spender)' : 'Never used'}</span>
+                    </div>
+                    \` : ''}
+                    \${approval.lastUpdated ? \`
+                    <div class="detail-row">
+                        <span class="detail-label">Last Changed</span>
+                        <span class="detail-value"><a href="\${approval.lastUpdated.txUrl}" target="_blank" rel="noopener">Block \${approval.lastUpdated.blockNumber}</a></span>
+                    </div>
+                    \` : ''}
+                </div>
+
+                \${riskFactorsHtml}
+
+                \${risksHtml || benefitsHtml ? \`
+                    <div class="risks-benefits">
+                        \${risksHtml}
+                        \${benefitsHtml}
+                    </div>
+                \` : ''}
+
+                <div style="position: relative; display: inline-block; width: 100%;">
+                    <button class="revoke-btn" 
+                        onclick="revokeApproval('\${approval.id}')" 
+                        \${canRevokeFor(address) ? '' : 'disabled'}
+                        onmouseenter="showCustomTooltip(this)" 
+                        onmouseleave="hideCustomTooltip(this)"
+                    >Revoke Approval</button>
+                    <div class="custom-tooltip">Revoke other address than you connected is not possible for security reasons</div>
+                </div>
+                \${canRevokeFor(address) && (approval.approvalType === 'erc20' || approval.approvalType === 'permit2') && !approval.decimalsUnknown ? \`
+                <button class="limit-btn" onclick="showSetLimit('\${approval.id}')">Set Limit</button>
+                \` : ''}
+                <button class="history-btn" onclick="showApprovalHistory('\${approval.id}')">View History</button>
+            \`;
+            return card;
+        }
+
+        const historyChangeLabels = {
+            'granted': 'Granted',
+            'increased': 'Increased',
+            'decreased': 'Decreased',
+            'renewed': 'Renewed',
+            'revoked': 'Revoked'
+        };
+
+        async function showApprovalHistory(approvalId) {
+            const approval = approvalsById.get(approvalId);
+            if (!approval) return;
+
+            const modal = document.getElementById('historyModal');
+            const content = document.getElementById('historyContent');
+            content.innerHTML = '<p>Loading approval history...</p>';
+            modal.style.display = 'block';
+
+            try {
+                const response = await fetch('/api/approvals/history', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        walletAddress: approval.owner,
+                        chainId: approval.chainId,
+                        tokenAddress: approval.tokenAddress,
+                        // Single-NFT approvals change spender over time, so the whole token history is fetched
+                        spender: approval.approvalType === 'nft-token' ? undefined : approval.spender,
+                        approvalType: approval.approvalType
+                    })
+                });
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || 'Failed to load history');
+                }
+
+                const pair = data.pairs.find(p => p.id === approval.id);
+                if (!pair) {
+                    content.innerHTML = '<p>No approval events found for this token and spender.</p>';
+                    return;
+                }
+
+                const eventsHtml = pair.events.slice().reverse().map(event => \`
+                    <div class="history-event \${event.change}">
+                        <strong>\${historyChangeLabels[event.change] || escapeHtml(event.change)}</strong> · \${escapeHtml(event.valueDisplay)}
+                        <div class="history-event-meta">
+                            \${event.date ? new Date(event.date).toLocaleString() : 'Unknown time'} · Block \${event.blockNumber} ·
+                            <a href="\${event.txUrl}" target="_blank" rel="noopener">\${event.transactionHash.slice(0, 10)}...</a>
+                            \${event.calledContract ? \` · via \${escapeHtml(event.calledContractName || event.calledContract)}\` : ''}
+                            \${approval.approvalType === 'nft-token' && event.change !== 'revoked' ? \` · spender \${event.spender}\` : ''}
+                        </div>
+                    </div>
+                \`).join('');
+
+                content.innerHTML = \`
+                    <h3>\${escapeHtml(approval.tokenName || approval.tokenSymbol || 'Token')} → \${escapeHtml(approval.spenderName || approval.spender)}</h3>
+                    <p>First granted: \${pair.firstGrantedAt ? new Date(pair.firstGrantedAt).toLocaleString() : 'Unknown'}
+                        (<a href="\${pair.firstGrantedTxUrl}" target="_blank" rel="noopener">transaction</a>)</p>
+                    <div class="history-pair">\${eventsHtml}</div>
+                \`;
+            } catch (error) {
+                content.innerHTML = \`<p>Unable to load approval history: \${escapeHtml(error.message)}</p>\`;
             }
-        });
+        }
 
-        // Close About Modal
-        function closeAboutModal() {
-            document.getElementById('aboutModal').style.display = 'none';
+        // Revoking is only offered for the wallet that is connected
+        function canRevokeFor(address) {
+            return Boolean(connectedAddress) && connectedAddress.toLowerCase() === address.toLowerCase();
         }
-        
-        // Close Knowledge Modal
-        function closeKnowledgeModal() {
-            document.getElementById('knowledgeModal').style.display = 'none';
+
+        function getSelectedApprovalIds() {
+            return Array.from(approvalsContainer.querySelectorAll('.approval-select input:checked')).map(input => input.value);
         }
-        
-        // Close modal when clicking outside of it
-        window.onclick = function(event) {
-            const aboutModal = document.getElementById('aboutModal');
-            const knowledgeModal = document.getElementById('knowledgeModal');
-            
-            if (event.target === aboutModal) {
-                aboutModal.style.display = 'none';
-            }
-            if (event.target === knowledgeModal) {
-                knowledgeModal.style.display = 'none';
-            }
+
+        function selectApprovals(filter) {
+            approvalsContainer.querySelectorAll('.approval-select input:not(:disabled)').forEach(input => {
+                const approval = approvalsById.get(input.value);
+                if (filter === 'highRisk') {
+                    input.checked = approval.riskScore >= riskThresholds.highRiskScore;
+                } else if (filter === 'unlimited') {
+                    input.checked = approval.isUnlimited || approval.approvalType === 'nft-operator';
+                } else {
+                    input.checked = false;
+                }
+            });
+            updateBatchBar();
         }
 
-        refreshBtn.addEventListener('click', () => {
-            location.reload();
-        });
+        function updateBatchBar() {
+            const count = getSelectedApprovalIds().length;
+            batchRevokeBtn.textContent = \`Revoke selected (\${count})\`;
+            batchRevokeBtn.disabled = count === 0;
+            safeExportBtn.textContent = \`Export Safe batch (\${count})\`;
+            safeExportBtn.disabled = count === 0;
+            offlineExportBtn.textContent = \`Export for offline signing (\${count})\`;
+            offlineExportBtn.disabled = count === 0;
+        }
 
-        fetchBtn.addEventListener('click', async () => {
-            const address = walletInput.value.trim();
+        // Owners and threshold for every network where the wallet is a Safe
+        function renderSafeInfo(chains) {
+            const safeChains = chains.filter(chain => chain.safe);
+            if (safeChains.length === 0) {
+                safeInfo.style.display = 'none';
+                return;
+            }
 
-            if (!address) {
-                showMessage('Please enter a wallet address or connect your wallet', 'error');
+            safeInfo.innerHTML = safeChains.map(chain => \`
+                <div>
+                    <strong>🔐 Safe multisig\${chain.safe.version ? \` v\${chain.safe.version}\` : ''} on \${chain.network.name}</strong>:
+                    \${chain.safe.threshold} of \${chain.safe.owners.length} owners must sign. Revoke by exporting a batch for the Safe Transaction Builder.
+                    <ul>
+                        \${chain.safe.owners.map(owner => \`<li><a href="\${chain.network.explorer}/address/\${owner}" target="_blank" rel="noopener">\${owner}</a></li>\`).join('')}
+                    </ul>
+                </div>
+            \`).join('');
+            safeInfo.style.display = 'block';
+        }
+
+        // Unsigned transactions for a cold wallet: shown as QR codes and hex, signed elsewhere, pasted back to broadcast
+        let offlineExport = null;
+
+        async function exportOfflineTransactions() {
+            const approvals = getSelectedApprovalIds().map(id => approvalsById.get(id));
+            const chainIds = [...new Set(approvals.map(approval => approval.chainId))];
+            if (chainIds.length !== 1) {
+                showMessage('Select approvals from one network at a time for offline signing', 'error');
                 return;
             }
 
             try {
-                fetchBtn.disabled = true;
-                loader.style.display = 'block';
-                results.style.display = 'none';
-                noApprovals.style.display = 'none';
-                message.style.display = 'none';
-                approvalsContainer.innerHTML = '';
-
-                const response = await fetch('/api/approvals', {
+                const response = await fetch('/api/revoke/offline', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ walletAddress: address })
+                    body: JSON.stringify({
+                        walletAddress: approvals[0].owner,
+                        chainId: chainIds[0],
+                        approvals: approvals.map(approval => ({
+                            approvalType: approval.approvalType,
+                            tokenAddress: approval.tokenAddress,
+                            spender: approval.spender,
+                            tokenId: approval.tokenId
+                        }))
+                    })
                 });
-
                 const data = await response.json();
-
                 if (!response.ok) {
-                    throw new Error(data.error || 'Failed to find approvals');
+                    throw new Error(data.error || 'Failed to build offline transactions');
                 }
 
-                loader.style.display = 'none';
-
-                if (data.count === 0) {
-                    noApprovals.style.display = 'block';
-                    showMessage('No active approvals found', 'success');
-                } else {
-                    results.style.display = 'block';
-                    showMessage(\`Found \${data.count} active approval(s)\`, 'success');
-
-                    data.approvals.forEach(approval => {
-                        const isUnlimited = approval.allowance === '115792089237316195423570985008687907853269984665640564039457584007913129639935';
-                        const allowanceDisplay = isUnlimited ? 'Unlimited' : approval.allowance;
+                offlineExport = data;
+                renderOfflineExport();
+            } catch (error) {
+                showMessage(\`Error: \${error.message}\`, 'error');
+            }
+        }
 
-                        const riskBadgeClass = approval.riskLevel === 'low' ? 'low-risk' : approval.riskLevel === 'medium' ? 'medium-risk' : 'high-risk';
-                        const riskBadgeText = approval.riskLevel ? approval.riskLevel.charAt(0).toUpperCase() + approval.riskLevel.slice(1) + ' Risk' : 'Unknown Risk';
-                        
-                        // Determine risk score color
-                        let riskScoreColor = '#4CAF50'; // Green
-                        if (approval.riskScore >= 60) riskScoreColor = '#FF5722'; // Red
-                        else if (approval.riskScore >= 40) riskScoreColor = '#FF9800'; // Orange
-
-                        let risksHtml = '';
-                        if (approval.risks && approval.risks.length > 0) {
-                            risksHtml = \`
-                                <div class="risks-list">
-                                    <h4>Risks:</h4>
-                                    <ul>
-                                        \${approval.risks.map(risk => \`<li>\${risk}</li>\`).join('')}
-                                    </ul>
-                                </div>
-                            \`;
-                        }
+        function renderOfflineExport() {
+            const { network, from, transactions } = offlineExport;
+            const content = document.getElementById('offlineContent');
+            content.innerHTML = \`
+                <h3>Offline signing: \${transactions.length} transaction(s) on \${network.name}</h3>
+                <p>Sign each transaction from \${from} on your offline device. Nonces are consecutive, so sign all of them and
+                    broadcast them together; any other transaction from this wallet in the meantime invalidates the export.</p>
+                \${transactions.map(tx => \`
+                    <div class="offline-tx">
+                        \${tx.qrCode ? \`<img src="\${tx.qrCode}" alt="Unsigned transaction \${tx.nonce}">\` : ''}
+                        <div style="flex: 1;">
+                            <strong>Nonce \${tx.nonce}: \${tx.method}</strong> on \${tx.to}<br>
+                            Gas limit \${tx.gasLimit}, max fee \${Number(tx.maxFee.amount).toPrecision(3)} \${tx.maxFee.currency}
+                            \${tx.estimateGasError ? \`<br><span class="deployer-flag">Gas estimate failed (\${escapeHtml(tx.estimateGasError)}); this transaction may revert</span>\` : ''}
+                            <textarea readonly rows="3">\${tx.unsignedTransaction}</textarea>
+                        </div>
+                    </div>
+                \`).join('')}
+                <button onclick="downloadOfflineExport()">Download JSON</button>
+                <h4>Broadcast signed transactions</h4>
+                <textarea id="signedTxInput" rows="4" placeholder="Paste the signed raw transactions (0x...), one per line"></textarea>
+                <button class="revoke-btn" onclick="broadcastSignedTransactions()">Broadcast</button>
+                <ol id="broadcastStatus" class="limit-steps"></ol>
+            \`;
+            document.getElementById('offlineModal').style.display = 'block';
+        }
 
-                        let benefitsHtml = '';
-                        if (approval.benefits && approval.benefits.length > 0) {
-                            benefitsHtml = \`
-                                <div class="benefits-list">
-                                    <h4>Benefits:</h4>
-                                    <ul>
-                                        \${approval.benefits.map(benefit => \`<li>\${benefit}</li>\`).join('')}
-                                    </ul>
-                                </div>
-                            \`;
-                        }
-                        
-                        let riskFactorsHtml = '';
-                        if (approval.riskFactors && approval.riskFactors.length > 0) {
-                            riskFactorsHtml = \`
-                                <div class="risk-factors-section">
-                                    <h4>Risk Score Breakdown:</h4>
-                                    <div class="risk-factors-list">
-                                        \${approval.riskFactors.map(factor => {
-                                            const maxPoints = {
-                                                'Audit Status': 25,
-                                                'Category Risk': 20,
-                                                'Risk Level': 20,
-                                                'Allowance Amount': 20,
-                                                'Known Exploits': 15
-                                            }[factor.name] || 20;
-                                            return \`
-                                            <div class="risk-factor-item">
-                                                <span class="factor-name">\${factor.name}</span>
-                                                <span class="factor-value">\${factor.value}</span>
-                                                <span class="factor-contribution">\${factor.contribution}/\${maxPoints}</span>
-                                            </div>
-                                        \`;
-                                        }).join('')}
-                                    </div>
-                                </div>
-                            \`;
-                        }
-                        
-                        let exploitWarningHtml = '';
-                        if (approval.hasKnownExploit && approval.exploits && approval.exploits.length > 0) {
-                            exploitWarningHtml = \`
-                                <div class="exploit-warning">
-                                    <strong>⚠️ Known Exploit Alert:</strong>
-                                    <ul>
-                                        \${approval.exploits.map(exploit => \`<li>\${exploit.name} - \${exploit.date}</li>\`).join('')}
-                                    </ul>
-                                </div>
-                            \`;
-                        }
+        function downloadOfflineExport() {
+            const blob = new Blob([JSON.stringify({
+                ...offlineExport,
+                transactions: offlineExport.transactions.map(({ qrCode, ...tx }) => tx)
+            }, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = \`approvalguard-offline-\${offlineExport.network.id}-\${offlineExport.from.slice(0, 8)}.json\`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        }
 
-                        const card = document.createElement('div');
-                        card.className = 'approval-card';
-                        card.innerHTML = \`
-                            <div class="card-header">
-                                <h3>\${approval.tokenName} (\${approval.tokenSymbol})</h3>
-                                <div style="display: flex; gap: 8px; align-items: center;">
-                                    <span class="badge \${approval.isVerified ? 'verified' : 'unverified'}">\${approval.isVerified ? '✓ Verified' : '⚠ Unverified'}</span>
-                                    <span class="badge \${riskBadgeClass}">\${riskBadgeText}</span>
-                                    <div class="risk-score-badge" style="background-color: \${riskScoreColor}; color: white; padding: 4px 12px; border-radius: 20px; font-weight: bold; font-size: 14px;">
-                                        Risk: \${approval.riskScore}/100
-                                    </div>
-                                </div>
-                            </div>
+        async function broadcastSignedTransactions() {
+            const signedTransactions = document.getElementById('signedTxInput').value.split(/\\s+/).filter(Boolean);
+            const statusEl = document.getElementById('broadcastStatus');
+            if (signedTransactions.length === 0) {
+                statusEl.innerHTML = '<li>Paste at least one signed transaction</li>';
+                return;
+            }
 
-                            \${exploitWarningHtml}
+            const chainId = offlineExport.network.id;
+            try {
+                const response = await fetch('/api/revoke/broadcast', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ chainId, signedTransactions })
+                });
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || 'Broadcast failed');
+                }
 
-                            <div class="approval-description">
-                                <strong>\${approval.spenderName}</strong> - \${approval.spenderDescription}
-                            </div>
+                const sent = data.transactions;
+                const renderStatus = () => {
+                    statusEl.innerHTML = sent.map(tx => \`
+                        <li>Nonce \${tx.nonce}: <a href="\${tx.txUrl}" target="_blank" rel="noopener">\${tx.hash.slice(0, 10)}...</a>
+                            \${revokeStatusLabels[tx.status] || escapeHtml(tx.status)}\${tx.error ? \` (\${escapeHtml(tx.error)})\` : ''}</li>
+                    \`).join('');
+                };
+                renderStatus();
+
+                // Poll receipts until nothing is left pending
+                const deadline = Date.now() + RECEIPT_TIMEOUT_MS;
+                let waiting = sent.filter(tx => tx.status === 'submitted');
+                while (waiting.length > 0 && Date.now() < deadline) {
+                    await new Promise(resolve => setTimeout(resolve, RECEIPT_POLL_MS));
+                    const receiptResponse = await fetch('/api/revoke/receipts', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ chainId, hashes: waiting.map(tx => tx.hash) })
+                    });
+                    const receipts = await receiptResponse.json();
+                    if (!receiptResponse.ok) {
+                        throw new Error(receipts.error || 'Failed to check receipts');
+                    }
+                    receipts.receipts.forEach(receipt => {
+                        const tx = sent.find(entry => entry.hash === receipt.hash);
+                        if (receipt.status === 'confirmed' || receipt.status === 'failed') {
+                            tx.status = receipt.status;
+                            tx.error = receipt.status === 'failed' ? 'Transaction reverted' : null;
+                        }
+                    });
+                    renderStatus();
+                    waiting = sent.filter(tx => tx.status === 'submitted');
+                }
 
-                            <div class="card-details">
-                                <div class="detail-row">
-                                    <span class="detail-label">Allowance</span>
-                                    <span class="detail-value">\${allowanceDisplay}</span>
-                                </div>
-                                <div class="detail-row">
-                                    <span class="detail-label">Your Balance</span>
-                                    <span class="detail-value">\${parseFloat(approval.userBalance).toLocaleString()} \${approval.tokenSymbol}</span>
-                                </div>
-                                <div class="detail-row">
-                                    <span class="detail-label">Category</span>
-                                    <span class="detail-value">\${approval.category || 'Unknown'}</span>
-                                </div>
-                            </div>
+                // Confirmed revokes join the revoke queue so they are verified and marked like connected-wallet ones
+                sent.filter(tx => tx.status === 'confirmed').forEach(tx => {
+                    const exported = offlineExport.transactions.find(entry => entry.nonce === tx.nonce);
+                    (exported ? exported.approvalIds : []).forEach(approvalId => {
+                        const approval = approvalsById.get(approvalId);
+                        if (approval) {
+                            revokeQueue.push({ approval, status: 'confirmed', txHash: tx.hash, fee: null, error: null, verified: false });
+                        }
+                    });
+                });
+                renderRevokeQueue();
+                await verifyRevokedApprovals();
+            } catch (error) {
+                statusEl.innerHTML += \`<li>Error: \${escapeHtml(error.message)}</li>\`;
+            }
+        }
 
-                            \${riskFactorsHtml}
+        // One Transaction Builder file per network, downloaded for the Safe signers to import
+        async function exportSafeBatch() {
+            const approvals = getSelectedApprovalIds().map(id => approvalsById.get(id));
+            const chainIds = [...new Set(approvals.map(approval => approval.chainId))];
+            const skipped = chainIds.filter(chainId => !walletSafes.has(chainId));
+            let exported = 0;
 
-                            \${risksHtml || benefitsHtml ? \`
-                                <div class="risks-benefits">
-                                    \${risksHtml}
-                                    \${benefitsHtml}
-                                </div>
-                            \` : ''}
-
-                            <div style="position: relative; display: inline-block; width: 100%;">
-                                <button class="revoke-btn" 
-                                    onclick="revokeApproval('\${approval.tokenAddress}', '\${approval.spender}', '\${address}')" 
-                                    \${connectedAddress && connectedAddress.toLowerCase() === address.toLowerCase() ? '' : 'disabled'}
-                                    onmouseenter="showCustomTooltip(this)" 
-                                    onmouseleave="hideCustomTooltip(this)"
-                                >Revoke Approval</button>
-                                <div class="custom-tooltip">Revoke other address than you connected is not possible for security reasons</div>
-                            </div>
-                        \`;
-                        approvalsContainer.appendChild(card);
+            try {
+                for (const chainId of chainIds.filter(id => walletSafes.has(id))) {
+                    const chainApprovals = approvals.filter(approval => approval.chainId === chainId);
+                    const safe = walletSafes.get(chainId);
+                    const response = await fetch('/api/revoke/safe-batch', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            safeAddress: safe.address,
+                            chainId,
+                            approvals: chainApprovals.map(approval => ({
+                                approvalType: approval.approvalType,
+                                tokenAddress: approval.tokenAddress,
+                                spender: approval.spender,
+                                tokenId: approval.tokenId
+                            }))
+                        })
                     });
+                    const data = await response.json();
+                    if (!response.ok) {
+                        throw new Error(data.error || 'Failed to build Safe batch');
+                    }
+
+                    const blob = new Blob([JSON.stringify(data.batch, null, 2)], { type: 'application/json' });
+                    const link = document.createElement('a');
+                    link.href = URL.createObjectURL(blob);
+                    link.download = \`approvalguard-revoke-\${chainId}-\${safe.address.slice(0, 8)}.json\`;
+                    link.click();
+                    URL.revokeObjectURL(link.href);
+                    exported += chainApprovals.length;
                 }
+
+                const skippedNote = skipped.length > 0 ? \` (skipped \${skipped.map(id => getNetworkInfo(id).name).join(', ')}: not a Safe there)\` : '';
+                showMessage(\`Exported \${exported} revoke(s) for the Safe Transaction Builder\${skippedNote}\`, exported > 0 ? 'success' : 'error');
             } catch (error) {
-                loader.style.display = 'none';
                 showMessage(\`Error: \${error.message}\`, 'error');
-            } finally {
-                fetchBtn.disabled = false;
             }
-        });
+        }
+
+        function revokeSelected() {
+            enqueueRevokes(getSelectedApprovalIds());
+        }
 
-        async function revokeApproval(tokenAddress, spenderAddress, walletAddress) {
+        function revokeApproval(approvalId) {
+            enqueueRevokes([approvalId]);
+        }
+
+        // Revokes run one at a time; a failed item pauses the queue until it is retried or skipped
+        const revokeQueue = [];
+        let revokeQueueRunning = false;
+        const RECEIPT_POLL_MS = 3000;
+        const RECEIPT_TIMEOUT_MS = 10 * 60 * 1000;
+
+        const revokeStatusLabels = {
+            'pending': 'Pending',
+            'submitted': 'Submitted',
+            'confirmed': 'Confirmed',
+            'failed': 'Failed',
+            'skipped': 'Skipped'
+        };
+
+        function enqueueRevokes(approvalIds) {
             if (!connectedAddress) {
                 showMessage('Please connect your wallet first', 'error');
                 return;
             }
 
-            if (connectedAddress.toLowerCase() !== walletAddress.toLowerCase()) {
+            const approvals = approvalIds.map(id => approvalsById.get(id)).filter(Boolean);
+            if (approvals.length === 0) {
+                showMessage('Approval not found, please refresh the results', 'error');
+                return;
+            }
+            if (approvals.some(approval => connectedAddress.toLowerCase() !== approval.owner.toLowerCase())) {
                 showMessage('Connected wallet does not match the approval owner', 'error');
                 return;
             }
 
+            approvals.forEach(approval => {
+                const queued = revokeQueue.find(item => item.approval.id === approval.id && item.status !== 'skipped');
+                if (!queued) {
+                    revokeQueue.push({ approval, status: 'pending', txHash: null, fee: null, error: null, verified: false });
+                }
+            });
+            renderRevokeQueue();
+            runRevokeQueue();
+        }
+
+        async function runRevokeQueue() {
+            if (revokeQueueRunning) return;
+            revokeQueueRunning = true;
+
             try {
-                showMessage('Preparing revoke transaction...', 'success');
+                let item;
+                while ((item = revokeQueue.find(entry => entry.status === 'pending'))) {
+                    await processRevoke(item);
+                    if (item.status === 'failed') {
+                        showMessage('A revoke failed: retry or skip it to continue the queue', 'error');
+                        return;
+                    }
+                }
+            } finally {
+                revokeQueueRunning = false;
+            }
+
+            await verifyRevokedApprovals();
+        }
 
-                const data = '0x095ea7b3' + 
-                    spenderAddress.slice(2).padStart(64, '0') + 
-                    '0'.padStart(64, '0');
+        async function processRevoke(item) {
+            const { approval } = item;
+            item.error = null;
+            item.note = 'Preparing transaction...';
+            renderRevokeQueue();
 
-                const tx = await window.ethereum.request({
+            try {
+                const tx = await buildRevokeTransaction(approval);
+                if (!tx.dryRun.success) {
+                    throw new Error(\`Dry-run failed: \${tx.dryRun.error}\`);
+                }
+                item.fee = tx.fee.amount !== null ? \`~\${Number(tx.fee.amount).toPrecision(3)} \${tx.fee.currency}\` : null;
+                item.note = 'Checking wallet network...';
+                renderRevokeQueue();
+                await ensureWalletChain(tx.chainId);
+                item.note = 'Confirm in your wallet...';
+                renderRevokeQueue();
+
+                item.txHash = await window.ethereum.request({
                     method: 'eth_sendTransaction',
                     params: [{
                         from: connectedAddress,
-                        to: tokenAddress,
-                        data: data
+                        // Wallets reject the request if they switched chains since the check above
+                        chainId: '0x' + tx.chainId.toString(16),
+                        to: tx.to,
+                        data: tx.data,
+                        value: tx.value,
+                        gas: tx.estimateGas ? '0x' + BigInt(tx.estimateGas).toString(16) : undefined
                     }]
                 });
+                item.status = 'submitted';
+                item.note = null;
+                renderRevokeQueue();
 
-                showMessage(\`Transaction sent: \${tx.slice(0, 10)}...\`, 'success');
+                const receipt = await waitForReceipt(item.txHash, approval.chainId);
+                if (receipt.status === 'confirmed') {
+                    item.status = 'confirmed';
+                } else {
+                    item.status = 'failed';
+                    item.error = 'Transaction reverted';
+                }
+            } catch (error) {
+                console.error('Revoke error:', error);
+                item.status = 'failed';
+                item.error = error.message;
+            }
+            item.note = null;
+            renderRevokeQueue();
+        }
 
-                setTimeout(() => {
-                    fetchBtn.click();
-                }, 3000);
+        // Receipts are read through the server for the approval's chain, whatever network the wallet is on now
+        async function waitForReceipt(txHash, chainId) {
+            const deadline = Date.now() + RECEIPT_TIMEOUT_MS;
+            while (Date.now() < deadline) {
+                const response = await fetch('/api/revoke/receipts', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ chainId, hashes: [txHash] })
+                });
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || 'Failed to check the transaction');
+                }
+                const [receipt] = data.receipts;
+                if (receipt.status === 'confirmed' || receipt.status === 'failed') {
+                    return receipt;
+                }
+                await new Promise(resolve => setTimeout(resolve, RECEIPT_POLL_MS));
+            }
+            throw new Error('Timed out waiting for the transaction to be mined');
+        }
+
+        // Chain the app itself asked the wallet to switch to; its chainChanged event is not a user choice
+        let requestedWalletChainId = null;
+
+        // Make sure the wallet is on the approval's chain: switch (adding the chain if the wallet
+        // does not know it), then re-check and refuse to continue on any mismatch
+        async function ensureWalletChain(chainId) {
+            const network = getNetworkInfo(chainId);
+            const networkName = network ? network.name : \`chain \${chainId}\`;
+            const currentChainId = async () => parseInt(await window.ethereum.request({ method: 'eth_chainId' }), 16);
+
+            if (await currentChainId() === chainId) {
+                return;
+            }
 
+            const hexChainId = '0x' + chainId.toString(16);
+            requestedWalletChainId = chainId;
+            try {
+                await window.ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: hexChainId }] });
+            } catch (error) {
+                // 4902: the wallet does not have this chain yet (some wallets nest the code)
+                const code = error.data && error.data.originalError ? error.data.originalError.code : error.code;
+                if ((code !== 4902 && error.code !== 4902) || !network || network.walletRpcUrls.length === 0) {
+                    requestedWalletChainId = null;
+                    throw new Error(\`Switch your wallet to \${networkName} to continue (\${error.message})\`);
+                }
+                await window.ethereum.request({
+                    method: 'wallet_addEthereumChain',
+                    params: [{
+                        chainId: hexChainId,
+                        chainName: network.name,
+                        // Every network in networks.json uses an 18-decimal native currency
+                        nativeCurrency: { name: network.currency, symbol: network.currency, decimals: 18 },
+                        rpcUrls: network.walletRpcUrls,
+                        blockExplorerUrls: [network.explorer]
+                    }]
+                });
+                // Not every wallet switches to a chain when adding it
+                if (await currentChainId() !== chainId) {
+                    await window.ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: hexChainId }] });
+                }
+            }
+
+            const walletChainId = await currentChainId();
+            if (walletChainId !== chainId) {
+                throw new Error(\`Wallet is on chain \${walletChainId}, not \${networkName}; nothing was sent\`);
+            }
+        }
+
+        function retryRevoke(index) {
+            revokeQueue[index].status = 'pending';
+            revokeQueue[index].txHash = null;
+            runRevokeQueue();
+        }
+
+        function skipRevoke(index) {
+            revokeQueue[index].status = 'skipped';
+            renderRevokeQueue();
+            runRevokeQueue();
+        }
+
+        function clearRevokeQueue() {
+            for (let i = revokeQueue.length - 1; i >= 0; i--) {
+                if (['confirmed', 'skipped'].includes(revokeQueue[i].status)) {
+                    revokeQueue.splice(i, 1);
+                }
+            }
+            renderRevokeQueue();
+        }
+
+        function renderRevokeQueue() {
+            if (revokeQueue.length === 0) {
+                revokeQueueEl.style.display = 'none';
+                return;
+            }
+
+            const done = revokeQueue.filter(item => ['confirmed', 'skipped'].includes(item.status)).length;
+            revokeQueueEl.innerHTML = \`
+                <div class="revoke-queue-header">
+                    <strong>Revoke queue: \${done} of \${revokeQueue.length} done</strong>
+                    <button onclick="clearRevokeQueue()">Clear finished</button>
+                </div>
+                \${revokeQueue.map((item, index) => {
+                    const network = getNetworkInfo(item.approval.chainId);
+                    return \`
+                    <div class="revoke-queue-item \${item.status}">
+                        <span>\${escapeHtml(item.approval.tokenSymbol || item.approval.tokenAddress)} → \${escapeHtml(item.approval.spenderName || item.approval.spender)}</span>
+                        \${item.txHash && network ? \`<a href="\${network.explorer}/tx/\${item.txHash}" target="_blank" rel="noopener">\${item.txHash.slice(0, 10)}...</a>\` : ''}
+                        \${item.fee ? \`<span>fee \${item.fee}</span>\` : ''}
+                        <span class="revoke-status">\${item.note || revokeStatusLabels[item.status]}\${item.verified ? ' ✓ verified' : ''}</span>
+                        \${item.status === 'failed' ? \`
+                            <button onclick="retryRevoke(\${index})">Retry</button>
+                            <button onclick="skipRevoke(\${index})">Skip</button>
+                        \` : ''}
+                        \${item.error ? \`<div class="revoke-error">\${escapeHtml(item.error)}</div>\` : ''}
+                    </div>
+                \`;
+                }).join('')}
+            \`;
+            revokeQueueEl.style.display = 'block';
+        }
+
+        // Re-read confirmed revokes on-chain and mark their cards, per network
+        async function verifyRevokedApprovals() {
+            const unverified = revokeQueue.filter(item => item.status === 'confirmed' && !item.verified);
+            if (unverified.length === 0) return;
+
+            const chainIds = [...new Set(unverified.map(item => item.approval.chainId))];
+            let stillActive = 0;
+
+            for (const chainId of chainIds) {
+                const items = unverified.filter(item => item.approval.chainId === chainId);
+                try {
+                    const response = await fetch('/api/approvals/verify', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            walletAddress: items[0].approval.owner,
+                            chainId,
+                            approvals: items.map(item => ({
+                                approvalType: item.approval.approvalType,
+                                tokenAddress: item.approval.tokenAddress,
+                                spender: item.approval.spender,
+                                tokenId: item.approval.tokenId
+                            }))
+                        })
+                    });
+                    const data = await response.json();
+                    if (!response.ok) {
+                        throw new Error(data.error || 'Verification failed');
+                    }
+
+                    data.approvals.forEach((result, i) => {
+                        const item = items[i];
+                        if (result.active === false) {
+                            item.verified = true;
+                            markApprovalRevoked(item.approval.id);
+                        } else {
+                            stillActive++;
+                            item.error = result.active ? 'Still active on-chain after the transaction' : 'Could not read the approval on-chain';
+                        }
+                    });
+                } catch (error) {
+                    items.forEach(item => { item.error = \`Could not verify: \${error.message}\`; });
+                    stillActive += items.length;
+                }
+            }
+
+            renderRevokeQueue();
+            updateBatchBar();
+            const verifiedCount = unverified.length - stillActive;
+            showMessage(
+                stillActive > 0
+                    ? \`\${verifiedCount} approval(s) revoked; \${stillActive} could not be confirmed revoked on-chain\`
+                    : \`\${verifiedCount} approval(s) revoked and verified on-chain\`,
+                stillActive > 0 ? 'error' : 'success'
+            );
+        }
+
+        function markApprovalRevoked(approvalId) {
+            const card = approvalsContainer.querySelector(\`[data-approval-id="\${approvalId}"]\`);
+            if (!card || card.classList.contains('revoked')) return;
+
+            card.classList.add('revoked');
+            const checkbox = card.querySelector('.approval-select input');
+            if (checkbox) {
+                checkbox.checked = false;
+                checkbox.disabled = true;
+            }
+            card.querySelector('.revoke-btn').disabled = true;
+            const note = document.createElement('div');
+            note.className = 'revoked-note';
+            note.textContent = '✓ Revoked and verified on-chain';
+            card.querySelector('.card-header').after(note);
+        }
+
+        const MAX_UINT256 = (1n << 256n) - 1n;
+
+        // Unsigned revoke transaction from the server, with gas estimate, fee and dry-run
+        async function buildRevokeTransaction(approval) {
+            const response = await fetch('/api/revoke/build', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    walletAddress: approval.owner,
+                    chainId: approval.chainId,
+                    approvals: [{
+                        approvalType: approval.approvalType,
+                        tokenAddress: approval.tokenAddress,
+                        spender: approval.spender,
+                        tokenId: approval.tokenId
+                    }]
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to build revoke transaction');
+            }
+            return data.transactions[0];
+        }
+
+        // Set-limit transactions from the server, in order; tokens like USDT get a reset to 0 first
+        async function buildLimitTransactions(approval, amount) {
+            const response = await fetch('/api/limit/build', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    walletAddress: approval.owner,
+                    chainId: approval.chainId,
+                    approval: {
+                        approvalType: approval.approvalType,
+                        tokenAddress: approval.tokenAddress,
+                        spender: approval.spender
+                    },
+                    amount: amount.toString()
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to build set-limit transactions');
+            }
+            return data.transactions;
+        }
+
+        // "5,000.5" -> base units; null when the text is not a plain amount or has more decimals than the token
+        function parseTokenAmount(text, decimals) {
+            const value = String(text).replace(/,/g, '').trim();
+            const match = value.match(/^(\\d*)(?:\\.(\\d*))?$/);
+            if (!value || !match || (match[2] || '').length > decimals) {
+                return null;
+            }
+            return BigInt((match[1] || '0') + (match[2] || '').padEnd(decimals, '0'));
+        }
+
+        function formatTokenAmount(amount, decimals) {
+            const text = amount.toString().padStart(decimals + 1, '0');
+            const whole = BigInt(text.slice(0, text.length - decimals)).toLocaleString('en-US');
+            const fraction = decimals > 0 ? text.slice(text.length - decimals).replace(/0+$/, '') : '';
+            return fraction ? \`\${whole}.\${fraction}\` : whole;
+        }
+
+        function showSetLimit(approvalId) {
+            const approval = approvalsById.get(approvalId);
+            if (!approval) return;
+
+            const content = document.getElementById('limitContent');
+            content.innerHTML = \`
+                <h3>Set a limit for \${escapeHtml(approval.spenderName || approval.spender)}</h3>
+                <p>Current allowance: \${approval.isUnlimited ? 'Unlimited' : approval.allowance} \${escapeHtml(approval.tokenSymbol)}.
+                    Your balance: \${parseFloat(approval.userBalance).toLocaleString()} \${escapeHtml(approval.tokenSymbol)}.</p>
+                <label for="limitAmount">New allowance (\${escapeHtml(approval.tokenSymbol)})</label>
+                <input id="limitAmount" type="text" inputmode="decimal" placeholder="e.g. 5,000" autocomplete="off">
+                <div id="limitPreview" class="limit-preview">Enter an amount to see your new exposure.</div>
+                <ol id="limitSteps" class="limit-steps" style="display: none;"></ol>
+                <button id="limitSubmitBtn" class="revoke-btn" disabled>Set Limit</button>
+            \`;
+
+            const input = document.getElementById('limitAmount');
+            const submitBtn = document.getElementById('limitSubmitBtn');
+            input.addEventListener('input', () => {
+                submitBtn.disabled = !renderLimitPreview(approval, input.value);
+            });
+            submitBtn.addEventListener('click', () => submitLimit(approval, input.value));
+
+            document.getElementById('limitModal').style.display = 'block';
+            input.focus();
+        }
+
+        // Show what the spender could take with the new allowance; returns whether the amount is usable
+        function renderLimitPreview(approval, text) {
+            const preview = document.getElementById('limitPreview');
+            const amount = parseTokenAmount(text, approval.decimals);
+            const current = approval.isUnlimited ? MAX_UINT256 : parseTokenAmount(approval.allowance, approval.decimals);
+            const balance = parseTokenAmount(approval.userBalance, approval.decimals) || 0n;
+
+            if (amount === null) {
+                preview.textContent = \`Enter a number with at most \${approval.decimals} decimal places.\`;
+                return false;
+            }
+            if (amount === 0n) {
+                preview.textContent = 'To set the allowance to 0, use Revoke Approval instead.';
+                return false;
+            }
+            if (amount >= current) {
+                preview.textContent = 'The new limit must be lower than the current allowance.';
+                return false;
+            }
+
+            const exposure = amount < balance ? amount : balance;
+            const price = approval.valueAtRisk ? approval.valueAtRisk.priceUsd : null;
+            const exposureUsd = price !== null ? Number(formatTokenAmount(exposure, approval.decimals).replace(/,/g, '')) * price : null;
+            preview.innerHTML = \`
+                New exposure: <strong>\${formatTokenAmount(exposure, approval.decimals)} \${escapeHtml(approval.tokenSymbol)}</strong>
+                \${exposureUsd !== null ? \`(\${formatUsd(exposureUsd)}, down from \${formatUsd(approval.valueAtRisk.exposureUsd)})\` : ''}
+                \${amount > balance ? '<br>The limit is above your balance, so the spender could still take everything you hold now.' : ''}
+            \`;
+            return true;
+        }
+
+        async function submitLimit(approval, text) {
+            const amount = parseTokenAmount(text, approval.decimals);
+            const submitBtn = document.getElementById('limitSubmitBtn');
+            const stepsEl = document.getElementById('limitSteps');
+            if (amount === null || !connectedAddress || connectedAddress.toLowerCase() !== approval.owner.toLowerCase()) {
+                showMessage('Connected wallet does not match the approval owner', 'error');
+                return;
+            }
+
+            submitBtn.disabled = true;
+            document.getElementById('limitAmount').disabled = true;
+            let transactions;
+            try {
+                await ensureWalletChain(approval.chainId);
+                transactions = await buildLimitTransactions(approval, amount);
             } catch (error) {
-                console.error('Revoke error:', error);
                 showMessage(\`Error: \${error.message}\`, 'error');
+                submitBtn.disabled = false;
+                document.getElementById('limitAmount').disabled = false;
+                return;
+            }
+
+            const steps = transactions.map(tx => ({
+                label: tx.amount === '0' ? 'Reset allowance to 0 (required by this token)' : \`Approve \${formatTokenAmount(amount, approval.decimals)} \${approval.tokenSymbol}\`,
+                to: tx.to,
+                data: tx.data,
+                dryRun: tx.dryRun,
+                status: 'pending'
+            }));
+
+            const renderSteps = () => {
+                stepsEl.innerHTML = steps.map(step => \`<li>\${escapeHtml(step.label)}: \${revokeStatusLabels[step.status]}\${step.error ? \` (\${escapeHtml(step.error)})\` : ''}</li>\`).join('');
+                stepsEl.style.display = 'block';
+            };
+            renderSteps();
+
+            try {
+                for (const step of steps) {
+                    // The approve after a reset can only be simulated once the reset is mined
+                    if (step.dryRun.skipped) {
+                        const rebuilt = (await buildLimitTransactions(approval, amount)).pop();
+                        if (rebuilt.dryRun.skipped) {
+                            throw new Error('The reset to 0 is not visible on-chain yet, try again shortly');
+                        }
+                        step.data = rebuilt.data;
+                        step.dryRun = rebuilt.dryRun;
+                    }
+                    if (!step.dryRun.success) {
+                        throw new Error(\`Dry-run failed: \${step.dryRun.error}\`);
+                    }
+                    const txHash = await window.ethereum.request({
+                        method: 'eth_sendTransaction',
+                        params: [{ from: connectedAddress, chainId: '0x' + approval.chainId.toString(16), to: step.to, data: step.data }]
+                    });
+                    step.status = 'submitted';
+                    renderSteps();
+
+                    const receipt = await waitForReceipt(txHash, approval.chainId);
+                    if (receipt.status !== 'confirmed') {
+                        throw new Error('Transaction reverted');
+                    }
+                    step.status = 'confirmed';
+                    renderSteps();
+                }
+
+                const response = await fetch('/api/approvals/verify', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        walletAddress: connectedAddress,
+                        chainId: approval.chainId,
+                        approvals: [{ approvalType: approval.approvalType, tokenAddress: approval.tokenAddress, spender: approval.spender }]
+                    })
+                });
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || 'Verification failed');
+                }
+
+                const [result] = data.approvals;
+                const card = approvalsContainer.querySelector(\`[data-approval-id="\${approval.id}"]\`);
+                if (card && result.allowance !== null) {
+                    card.querySelector('[data-field="allowance"]').textContent = \`\${formatTokenAmount(BigInt(result.allowance), approval.decimals)} (limit set)\`;
+                }
+                showMessage(\`Allowance for \${approval.spenderName || approval.spender} set to \${formatTokenAmount(amount, approval.decimals)} \${approval.tokenSymbol}\`, 'success');
+                closeLimitModal();
+            } catch (error) {
+                console.error('Set limit error:', error);
+                const failed = steps.find(step => step.status !== 'confirmed');
+                if (failed) {
+                    failed.status = 'failed';
+                    failed.error = error.message;
+                }
+                renderSteps();
+                submitBtn.disabled = false;
+                document.getElementById('limitAmount').disabled = false;
             }
         }
 
@@ -2244,6 +7395,30 @@ function getHtmlContent() {
             <div id="knowledgeContent"></div>
         </div>
     </div>
+    
+    <!-- History Modal -->
+    <div id="historyModal" class="modal">
+        <div class="modal-content history-content">
+            <span class="close-btn" onclick="closeHistoryModal()">&times;</span>
+            <div id="historyContent"></div>
+        </div>
+    </div>
+
+    <!-- Offline Signing Modal -->
+    <div id="offlineModal" class="modal">
+        <div class="modal-content offline-content">
+            <span class="close-btn" onclick="closeOfflineModal()">&times;</span>
+            <div id="offlineContent"></div>
+        </div>
+    </div>
+
+    <!-- Set Limit Modal -->
+    <div id="limitModal" class="modal">
+        <div class="modal-content limit-content">
+            <span class="close-btn" onclick="closeLimitModal()">&times;</span>
+            <div id="limitContent"></div>
+        </div>
+    </div>
 </body>
 </html>
   `;
@@ -0,0 +1,241 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+// server.js refuses to load without API keys; nothing here reaches the network
+process.env.ALCHEMY_API_KEY = process.env.ALCHEMY_API_KEY || 'test';
+process.env.ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY || 'test';
+
+const riskPolicy = require('../risk_policy.json');
+const {
+  parseApprovalCall,
+  identifySignature,
+  getSignatureFieldError,
+  getLimitCalls,
+  buildSafeTxBuilderBatch,
+  getTxBuilderChecksum,
+  encodeMultiSend,
+  calculateRiskScore,
+  validateRiskPolicy
+} = require('../server');
+
+const PERMIT2 = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+const WALLET = '0x1111111111111111111111111111111111111111';
+const SPENDER = '0x2222222222222222222222222222222222222222';
+const TOKEN = '0x3333333333333333333333333333333333333333';
+
+const erc20 = new ethers.Interface([
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function increaseAllowance(address spender, uint256 addedValue) returns (bool)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function setApprovalForAll(address operator, bool approved)',
+  'function transfer(address to, uint256 amount) returns (bool)'
+]);
+const permit2 = new ethers.Interface([
+  'function approve(address token, address spender, uint160 amount, uint48 expiration)',
+  'function allowance(address user, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)'
+]);
+
+describe('parseApprovalCall', () => {
+  test('decodes ERC-20 approve', () => {
+    const parsed = parseApprovalCall({ to: TOKEN, data: erc20.encodeFunctionData('approve', [SPENDER, 5n]) });
+    assert.equal(parsed.method, 'approve');
+    assert.equal(parsed.args[0], SPENDER);
+    assert.equal(parsed.args[1], 5n);
+  });
+
+  test('decodes increaseAllowance and setApprovalForAll', () => {
+    assert.equal(parseApprovalCall({ to: TOKEN, data: erc20.encodeFunctionData('increaseAllowance', [SPENDER, 1n]) }).method, 'increaseAllowance');
+    assert.equal(parseApprovalCall({ to: TOKEN, data: erc20.encodeFunctionData('setApprovalForAll', [SPENDER, true]) }).method, 'setApprovalForAll');
+  });
+
+  test('decodes Permit2 approve only when sent to Permit2', () => {
+    const data = permit2.encodeFunctionData('approve', [TOKEN, SPENDER, 10n, 2000000000]);
+    const parsed = parseApprovalCall({ to: PERMIT2, data });
+    assert.equal(parsed.method, 'approve');
+    assert.equal(parsed.args[2], 10n);
+    assert.equal(parseApprovalCall({ to: TOKEN, data }), null);
+  });
+
+  test('returns null for other calls and short calldata', () => {
+    assert.equal(parseApprovalCall({ to: TOKEN, data: erc20.encodeFunctionData('transfer', [SPENDER, 1n]) }), null);
+    assert.equal(parseApprovalCall({ to: TOKEN, data: '0x095ea7' }), null);
+    assert.equal(parseApprovalCall({ to: TOKEN, data: '0x' }), null);
+  });
+
+  test('throws when a known selector does not decode', () => {
+    assert.throws(() => parseApprovalCall({ to: TOKEN, data: '0x095ea7b3' + '00'.repeat(8) }));
+  });
+});
+
+describe('identifySignature', () => {
+  const permit = {
+    primaryType: 'Permit',
+    domain: { name: 'Token', verifyingContract: TOKEN },
+    types: { Permit: [{ name: 'owner' }, { name: 'spender' }, { name: 'value' }, { name: 'nonce' }, { name: 'deadline' }] },
+    message: { owner: WALLET, spender: SPENDER, value: '1000', nonce: '0', deadline: '1900000000' }
+  };
+
+  test('reads an EIP-2612 permit', () => {
+    const signature = identifySignature(permit);
+    assert.equal(signature.kind, 'erc2612-permit');
+    assert.equal(signature.spender, SPENDER);
+    assert.deepEqual(signature.assets, [{ itemType: 'ERC20', token: TOKEN, amount: 1000n }]);
+    assert.equal(signature.deadline, 1900000000n);
+  });
+
+  test('reads a Permit2 PermitSingle and flags a foreign verifying contract', () => {
+    const signature = identifySignature({
+      primaryType: 'PermitSingle',
+      domain: { name: 'Permit2', verifyingContract: SPENDER },
+      types: { PermitSingle: [{ name: 'details' }, { name: 'spender' }, { name: 'sigDeadline' }] },
+      message: { details: { token: TOKEN, amount: '5', expiration: '1900000000', nonce: '0' }, spender: SPENDER, sigDeadline: '1800000000' }
+    });
+    assert.equal(signature.kind, 'permit2-single');
+    assert.equal(signature.assets[0].amount, 5n);
+    assert.equal(signature.requiresPermit2, true);
+  });
+
+  test('returns no kind for unknown typed data', () => {
+    const signature = identifySignature({ primaryType: 'Mail', domain: {}, types: { Mail: [{ name: 'contents' }] }, message: { contents: 'hi' } });
+    assert.equal(signature.kind, null);
+  });
+
+  test('getSignatureFieldError accepts a valid permit and names a missing field', () => {
+    assert.equal(getSignatureFieldError(permit), null);
+    assert.equal(getSignatureFieldError({ ...permit, message: { ...permit.message, deadline: undefined } }), 'message.deadline is missing or invalid');
+    assert.equal(getSignatureFieldError({ ...permit, message: { ...permit.message, spender: 'nope' } }), 'message.spender is missing or invalid');
+  });
+
+  test('getSignatureFieldError rejects a bulk order with an empty tree', () => {
+    const bulk = { primaryType: 'BulkOrder', domain: { verifyingContract: SPENDER }, types: { BulkOrder: [{ name: 'tree' }] }, message: { tree: [] } };
+    assert.equal(getSignatureFieldError(bulk), 'message.tree has no orders');
+  });
+});
+
+/**
+ * Provider answering allowance reads with fixed values; when `resetRequired` is set, approve
+ * reverts while the current allowance is non-zero, like USDT
+ */
+function makeProvider({ allowance = 0n, permit2State = [0n, 0n, 0n], resetRequired = false } = {}) {
+  return {
+    // A chain without Multicall3, so every read goes through call()
+    getNetwork: async () => ({ chainId: 999001n }),
+    getCode: async () => '0x',
+    call: async ({ to, data }) => {
+      const selector = ethers.dataSlice(data, 0, 4);
+      if (to.toLowerCase() === PERMIT2.toLowerCase()) {
+        return permit2.encodeFunctionResult('allowance', permit2State);
+      }
+      if (selector === erc20.getFunction('allowance').selector) {
+        return erc20.encodeFunctionResult('allowance', [allowance]);
+      }
+      if (selector === erc20.getFunction('approve').selector) {
+        if (resetRequired && allowance > 0n) {
+          throw ethers.makeError('execution reverted', 'CALL_EXCEPTION', {});
+        }
+        return erc20.encodeFunctionResult('approve', [true]);
+      }
+      return '0x';
+    }
+  };
+}
+
+describe('getLimitCalls', () => {
+  const approval = { approvalType: 'erc20', tokenAddress: TOKEN, spender: SPENDER };
+
+  test('sets the new limit in one call when approve succeeds', async () => {
+    const result = await getLimitCalls(makeProvider({ allowance: 100n }), WALLET, approval, 10n);
+    assert.equal(result.resetRequired, false);
+    assert.equal(result.currentAllowance, 100n);
+    assert.equal(result.calls.length, 1);
+    assert.deepEqual(Array.from(erc20.decodeFunctionData('approve', result.calls[0].data)), [SPENDER, 10n]);
+  });
+
+  test('resets to 0 first when approve reverts on a non-zero allowance', async () => {
+    const result = await getLimitCalls(makeProvider({ allowance: 100n, resetRequired: true }), WALLET, approval, 10n);
+    assert.equal(result.resetRequired, true);
+    assert.deepEqual(result.calls.map(call => call.amount), [0n, 10n]);
+    assert.equal(result.calls[0].afterPrevious, undefined);
+    assert.equal(result.calls[1].afterPrevious, true);
+  });
+
+  test('keeps the Permit2 expiration', async () => {
+    const result = await getLimitCalls(makeProvider({ permit2State: [50n, 1900000000n, 1n] }), WALLET, { ...approval, approvalType: 'permit2' }, 10n);
+    assert.equal(result.currentAllowance, 50n);
+    const [token, spender, amount, expiration] = permit2.decodeFunctionData('approve', result.calls[0].data);
+    assert.deepEqual([token, spender, amount, expiration], [TOKEN, SPENDER, 10n, 1900000000n]);
+  });
+});
+
+describe('Safe batches', () => {
+  const network = { id: 1, name: 'Ethereum' };
+  const calls = [
+    { to: TOKEN, data: erc20.encodeFunctionData('approve', [SPENDER, 0n]), approvals: [{}] },
+    { to: SPENDER, data: erc20.encodeFunctionData('setApprovalForAll', [WALLET, false]), approvals: [{}] }
+  ];
+
+  test('the Transaction Builder checksum ignores the batch name and tracks the transactions', () => {
+    const batch = buildSafeTxBuilderBatch(network, WALLET, calls);
+    // The importer drops meta.checksum before recomputing it
+    const { checksum, ...meta } = batch.meta;
+    assert.equal(checksum, getTxBuilderChecksum({ ...batch, meta: { ...meta, name: 'Renamed' } }));
+    assert.notEqual(checksum, getTxBuilderChecksum({ ...batch, meta, transactions: batch.transactions.slice(1) }));
+  });
+
+  test('encodeMultiSend packs every call and picks MultiSendCallOnly by Safe version', () => {
+    const multiSend = encodeMultiSend({ version: '1.3.0' }, calls);
+    assert.equal(multiSend.to, '0x40A2aCCbd92BCA938b02010E17A5b8929b49130D');
+    assert.equal(multiSend.operation, 1);
+    assert.equal(encodeMultiSend({ version: '1.4.1' }, calls).to, '0x9641d764fc13c8B624c04430C7356C1C7C8102e2');
+
+    const [packed] = new ethers.Interface(['function multiSend(bytes transactions)']).decodeFunctionData('multiSend', multiSend.data);
+    const first = ethers.solidityPacked(['uint8', 'address', 'uint256', 'uint256', 'bytes'], [0, calls[0].to, 0, ethers.dataLength(calls[0].data), calls[0].data]);
+    assert.equal(ethers.dataSlice(packed, 0, ethers.dataLength(first)), first);
+    assert.equal(ethers.dataLength(packed), calls.reduce((total, call) => total + 85 + ethers.dataLength(call.data), 0));
+  });
+});
+
+describe('risk scoring', () => {
+  const contract = { audited: true, isVerified: true, category: 'DEX', riskLevel: 'low', code: { kind: 'contract', isProxy: false } };
+
+  test('an audited, immutable DEX with a reasonable allowance scores low', () => {
+    const { score, factors } = calculateRiskScore(contract, '10', '100', [], { approvalType: 'erc20' });
+    assert.ok(score < riskPolicy.thresholds.mediumRiskScore, `score ${score}`);
+    assert.equal(factors.find(factor => factor.id === 'allowance').value, 'Reasonable');
+  });
+
+  test('a wallet spender with an unlimited allowance and exploits scores high', () => {
+    const eoa = { audited: false, isVerified: false, category: 'Unknown', riskLevel: 'unknown', code: { kind: 'eoa' } };
+    const { score } = calculateRiskScore(eoa, ethers.MaxUint256.toString(), '100', [{ name: 'exploit' }], { approvalType: 'erc20' });
+    assert.ok(score >= riskPolicy.thresholds.highRiskScore, `score ${score}`);
+    assert.ok(score <= riskPolicy.maxScore);
+  });
+
+  test('unknown usage adds no dormancy risk', () => {
+    const usage = { used: false, unknown: true, idleDays: 400, dormant: false };
+    const { factors } = calculateRiskScore(contract, '10', '100', [], { approvalType: 'erc20', usage });
+    const dormancy = factors.find(factor => factor.id === 'dormancy');
+    assert.equal(dormancy.value, 'Unknown');
+    assert.equal(dormancy.contribution, 0);
+  });
+
+  test('the shipped policy is valid', () => {
+    assert.deepEqual(validateRiskPolicy(riskPolicy), []);
+  });
+
+  test('validateRiskPolicy rejects caps and thresholds above maxScore', () => {
+    const policy = structuredClone(riskPolicy);
+    policy.factors.auditStatus.maxContribution += 30;
+    policy.thresholds.highRiskScore = policy.maxScore + 1;
+    const errors = validateRiskPolicy(policy);
+    assert.ok(errors.some(error => error.includes('more than maxScore')), errors.join('\n'));
+    assert.ok(errors.includes('thresholds.highRiskScore must not exceed maxScore'), errors.join('\n'));
+  });
+
+  test('validateRiskPolicy rejects unknown factors', () => {
+    const policy = structuredClone(riskPolicy);
+    policy.factors.mystery = { ...policy.factors.dormancy };
+    assert.ok(validateRiskPolicy(policy).some(error => error.startsWith('factors.mystery is not a known factor')));
+  });
+});